@@ -7,6 +7,60 @@ const axios = require('axios');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { getAdapter } = require('./exchange-adapters');
+const { readTicks } = require('./tick-reader');
+const { createTickRecorder } = require('./tick-recorder');
+const { createLatencyTracker } = require('./feed-latency');
+const { emptyDirectionCounts, computePairSignificance } = require('./significance');
+const { createCausalityWorker } = require('./causality-worker');
+const {
+    PAIR_STATS_CONFIG,
+    createPairStats,
+    recordFollow,
+    recordMiss,
+    summarizePair,
+    getRegimeStats,
+    isValidPairStats
+} = require('./pair-stats');
+const { WINDOWS, getWindowStats, getTimeseries } = require('./time-buckets');
+const { createEventStore } = require('./event-store');
+const { withoutDetail, createPairDetailStore } = require('./pair-detail-store');
+const { INTERVALS, createCandleAggregator } = require('./candle-aggregator');
+const { parseWeights, createMarketFactor } = require('./market-factor');
+const { REGIMES, REGIME_CONFIG, createRegimeClassifier } = require('./regime');
+const { STATUSES: SIGNAL_STATUSES, getConfidence, createSignalEngine } = require('./signals');
+const { parseChannelKeys, matchesSubject, createSubscriptions } = require('./ws-subscriptions');
+const { TIERS, getRouteScope, isSameKey, validateKeyRequest, createKeyStore } = require('./api-keys');
+const { API_VERSION, ref, envelopeResponses, createApiRegistry } = require('./openapi');
+const { TAGS, SCHEMAS, object, arrayOf, mapOf } = require('./api-schemas');
+const { paginate } = require('./pagination');
+const {
+    createCalibrationStats,
+    isValidCalibrationStats,
+    recordPrediction,
+    getCalibrationReport,
+    removeCoin: removeCalibrationCoin
+} = require('./calibration');
+const {
+    createCascadeStats,
+    isValidCascadeStats,
+    findParentEvent,
+    linkEvent,
+    recordPathHit,
+    getTopCascades,
+    removeCoin: removeCascadeCoin
+} = require('./cascades');
+const { validateProduct, loadCoinConfig, saveCoinConfig, groupByAssetClass } = require('./coin-config');
+const {
+    PARAMETERS,
+    validateDetectionConfig,
+    normalizeConfig,
+    getParameterSetId,
+    resolveParameters,
+    loadDetectionConfig,
+    saveDetectionConfig
+} = require('./detection-config');
+const { version: packageVersion } = require('../package.json');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,15 +70,29 @@ const PORT = process.env.PORT || 3000;
 app.use(cors());
 app.use(express.json());
 
-// 1. Serve the Dashboard HTML on root (Priority over static index.html)
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'AlphaFlow.html'), (err) => {
+// A public demo key is only added to the key store (see API Security) when DEMO_API_KEY is
+// set. The pages that call the API then get it in their alphaflow-api-key meta tag.
+const DEMO_API_KEY = process.env.DEMO_API_KEY || null;
+const API_KEY_META = '<meta name="alphaflow-api-key" content="">';
+
+function escapeHtmlAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sendPage(res, filePath) {
+    fs.readFile(filePath, 'utf8', (err, html) => {
         if (err) {
-            console.error('Error serving AlphaFlow.html:', err);
-            res.status(err.status || 500).end();
+            console.error(`Error serving ${path.basename(filePath)}:`, err);
+            return res.status(err.code === 'ENOENT' ? 404 : 500).end();
         }
+        res.type('html').send(DEMO_API_KEY ?
+            html.replace(API_KEY_META, `<meta name="alphaflow-api-key" content="${escapeHtmlAttribute(DEMO_API_KEY)}">`) :
+            html);
     });
-});
+}
+
+// 1. Serve the Dashboard HTML on root (Priority over static index.html)
+app.get('/', (req, res) => sendPage(res, path.join(__dirname, 'public', 'AlphaFlow.html')));
 
 // 2. Handle favicon to prevent 404s
 app.get('/favicon.ico', (req, res) => res.status(204).end());
@@ -53,16 +121,8 @@ app.get('/alphaflow-backtesting.html', (req, res) => {
         if (err) console.error('Error serving alphaflow-backtesting.html:', err);
     });
 });
-app.get('/alphaflow-dashboard.html', (req, res) => {
-    res.sendFile(path.join(parentDir, 'alphaflow-dashboard.html'), (err) => {
-        if (err) console.error('Error serving alphaflow-dashboard.html:', err);
-    });
-});
-app.get('/alphaflow-api-docs.html', (req, res) => {
-    res.sendFile(path.join(parentDir, 'alphaflow-api-docs.html'), (err) => {
-        if (err) console.error('Error serving alphaflow-api-docs.html:', err);
-    });
-});
+app.get('/alphaflow-dashboard.html', (req, res) => sendPage(res, path.join(parentDir, 'alphaflow-dashboard.html')));
+app.get('/alphaflow-api-docs.html', (req, res) => sendPage(res, path.join(parentDir, 'alphaflow-api-docs.html')));
 app.get('/pricing', (req, res) => {
     res.sendFile(path.join(parentDir, 'index.html'), (err) => {
         if (err) console.error('Error serving index.html:', err);
@@ -73,18 +133,89 @@ app.get('/pricing', (req, res) => {
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configuration
-const COINS = [
-    'BTC-USD', 'ETH-USD', 'SOL-USD', 'MATIC-USD', 'AVAX-USD', 
-    'LINK-USD', 'DOT-USD', 'ATOM-USD', 'DOGE-USD', 'SHIB-USD',
-    'UNI-USD', 'AAVE-USD', 'CRV-USD', 'SUSHI-USD', 'MANA-USD',
-    'SAND-USD', 'AXS-USD', 'ENJ-USD', 'GRT-USD', 'ALGO-USD',
-    'LTC-USD', '1INCH-USD', 'BAT-USD', 'COMP-USD'
-];
-
-const MOVE_THRESHOLD = 1.5; // 1.5% move threshold (Significant events only)
-const LAG_WINDOW = 300000; // 5 minutes
+// EXCHANGE_FEEDS is a comma-separated list of adapter names (coinbase, binance, kraken)
+const EXCHANGE_FEEDS = (process.env.EXCHANGE_FEEDS || 'coinbase')
+    .split(',')
+    .filter(name => name.trim())
+    .map(getAdapter);
+const PRIMARY_FEED = EXCHANGE_FEEDS[0];
+
+// Every venue gets its own price series so quotes from different books never interleave.
+// The primary (first) feed's series keep the product id, e.g. 'BTC-USD'; the others are
+// keyed 'venue:PRODUCT', e.g. 'binance:BTC-USD', and are tested as leaders and followers
+// like any other coin. Replayed rows without an exchange belong to the primary feed.
+function getSeriesIds(productId) {
+    return EXCHANGE_FEEDS.map(adapter => adapter === PRIMARY_FEED ? productId : `${adapter.name}:${productId}`);
+}
+
+function getSeriesId(tick) {
+    return tick.exchange === PRIMARY_FEED.name || tick.exchange === 'replay' ?
+        tick.productId :
+        `${tick.exchange}:${tick.productId}`;
+}
+
+function getProductId(seriesId) {
+    return seriesId.slice(seriesId.indexOf(':') + 1);
+}
+
+// The coin universe lives in config/coins.json and can change at runtime through the
+// admin API. COINS holds the series of every product on every feed and is mutated in
+// place so every holder of the reference stays current.
+const COIN_CONFIG_FILE = process.env.COIN_CONFIG_FILE || path.join(__dirname, 'config', 'coins.json');
+const coinProducts = loadCoinConfig(COIN_CONFIG_FILE); // [{ id, assetClass }]
+const COINS = coinProducts.flatMap(product => getSeriesIds(product.id));
+
+// Detection parameters (move threshold, follow window, ...) live in config/detection.json
+// and can be changed at runtime through /api/config/detection
+const DETECTION_CONFIG_FILE = process.env.DETECTION_CONFIG_FILE || path.join(__dirname, 'config', 'detection.json');
+let detectionConfig = loadDetectionConfig(DETECTION_CONFIG_FILE);
+let parameterSetId = getParameterSetId(detectionConfig);
+let resolvedParameters = {}; // coin -> effective parameters, rebuilt lazily after changes
+
+// Price history is kept for the longest lookback window, within these bounds
+const MIN_HISTORY_POINTS = 1000;
+const MAX_HISTORY_POINTS = 20000;
+const HISTORY_MARGIN_MS = 60000;
+const candles = createCandleAggregator();
+
+// MARKET_FACTOR=index|pca adds a second detection track on returns net of the market factor
+const MARKET_FACTOR_MODE = process.env.MARKET_FACTOR || 'off';
+const MARKET_FACTOR_REFRESH = 60000; // Re-estimate betas (and PCA weights) every 60 seconds
+const marketFactor = MARKET_FACTOR_MODE !== 'off' ?
+    createMarketFactor({ mode: MARKET_FACTOR_MODE, weights: parseWeights(process.env.MARKET_FACTOR_WEIGHTS) }) :
+    null;
+
+// Market regime (low/high vol, trending) that leader events and pair stats are tagged with
+const REGIME_REFRESH = 60000; // Reclassify every 60 seconds
+const regimeClassifier = createRegimeClassifier();
+const signalEngine = createSignalEngine(); // Expected follows for each raw leader event, see signals.js
 const SAVE_INTERVAL = 60000; // Save data every 60 seconds
 const BROADCAST_INTERVAL = 500; // Batch updates every 500ms
+const HEALTH_PUSH_INTERVAL = 5000; // Health messages to clients subscribed to the health channel
+const WS_HEARTBEAT_INTERVAL = 30000; // Clients that miss a ping for this long are dropped
+// 'exchange' measures lag between venue timestamps; 'receive' uses local arrival time.
+// Ticks without an exchange timestamp always fall back to receive time.
+const LAG_TIME_SOURCE = process.env.LAG_TIME_SOURCE === 'receive' ? 'receive' : 'exchange';
+const SIGNIFICANCE_ALPHA = parseFloat(process.env.SIGNIFICANCE_ALPHA) || 0.05; // FDR level for Benjamini–Hochberg
+const SNAPSHOT_SCHEMA_VERSION = 5; // Bump when the saved snapshot layout or meaning changes
+
+// Replay mode: `node alphaflow-server.js --replay ticks.ndjson [--out matrix.json]`
+function getCliOption(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const REPLAY_FILE = getCliOption('replay') || process.env.REPLAY_FILE;
+const REPLAY_OUT = getCliOption('out') || process.env.REPLAY_OUT;
+const REPLAY_MODE = Boolean(REPLAY_FILE);
+
+// All detection logic reads time from here so replay can drive a simulated clock
+const clock = {
+    simulatedTime: null,
+    now() {
+        return this.simulatedTime !== null ? this.simulatedTime : Date.now();
+    }
+};
 
 // Data storage
 let marketData = {
@@ -92,86 +223,100 @@ let marketData = {
     priceHistory: {},
     leaderEvents: [],
     causalityMatrix: {},
+    directionCounts: {}, // Per-coin move and leader-event direction counts (significance baseline)
+    cascades: createCascadeStats(), // Recurring multi-hop lead-lag chains, see cascades.js
+    calibration: createCalibrationStats(), // How well prediction confidence matched outcomes, see calibration.js
     statistics: {
         totalTicks: 0,
         divergenceEvents: 0,
         startTime: Date.now()
     },
-    coinConfig: COINS
+    coinConfig: COINS,
+    adjusted: marketFactor ? createTrackData() : null // Same detection on market-factor residuals
 };
 
+const rawTrack = createTrack('raw', marketData, candles);
+const adjustedTrack = marketFactor ?
+    createTrack('adjusted', marketData.adjusted, createCandleAggregator({ intervals: ['1s'] })) :
+    null;
+const tracks = [rawTrack, adjustedTrack].filter(Boolean);
+
 let pendingUpdates = {}; // Buffer for batched updates
 
 // Initialize data structures
-function initializeData() {
-    COINS.forEach(coin => {
-        marketData.prices[coin] = { price: 0, change: 0, changePercent: 0, lastUpdate: 0 };
-        marketData.priceHistory[coin] = [];
+function initializeCoin(coin) {
+    marketData.prices[coin] = { price: 0, change: 0, changePercent: 0, lastUpdate: 0 };
+    
+    tracks.forEach(({ data }) => {
+        data.priceHistory[coin] = [];
+        data.directionCounts[coin] = emptyDirectionCounts();
         
-        // Initialize causality matrix
-        marketData.causalityMatrix[coin] = {};
-        COINS.forEach(follower => {
-            if (coin !== follower) {
-                marketData.causalityMatrix[coin][follower] = {
-                    lagTimes: [],
-                    magnitudeRatios: [],
-                    successfulFollows: 0,
-                    missedFollows: 0,
-                    avgLag: 0,
-                    avgMagnitude: 0,
-                    followRate: 0
-                };
+        // Add this coin's row and its column in every existing row, keeping existing pairs
+        data.causalityMatrix[coin] = data.causalityMatrix[coin] || {};
+        COINS.forEach(other => {
+            if (other === coin) return;
+            if (!data.causalityMatrix[coin][other]) {
+                data.causalityMatrix[coin][other] = createPairStats(coin, other);
+            }
+            if (data.causalityMatrix[other] && !data.causalityMatrix[other][coin]) {
+                data.causalityMatrix[other][coin] = createPairStats(other, coin);
             }
         });
     });
 }
 
+function initializeData() {
+    COINS.forEach(initializeCoin);
+}
+
 initializeData();
 
-// WebSocket connection to Coinbase
-let coinbaseWS = null;
-let reconnectTimeout = null;
+// Exchange feed connections
+const feedConnections = {}; // adapter name -> { ws, reconnectTimeout }
 
-function connectToCoinbase() {
-    console.log('🔌 Connecting to Coinbase WebSocket...');
+function connectToFeed(adapter) {
+    console.log(`🔌 Connecting to ${adapter.name} WebSocket...`);
     
-    coinbaseWS = new WebSocket('wss://ws-feed.exchange.coinbase.com');
+    const connection = feedConnections[adapter.name] || (feedConnections[adapter.name] = {});
+    const feedWS = new WebSocket(adapter.url);
+    connection.ws = feedWS;
     
-    coinbaseWS.on('open', () => {
-        console.log('✅ Connected to Coinbase WebSocket');
-        
-        const subscribeMessage = {
-            type: 'subscribe',
-            product_ids: COINS,
-            channels: ['ticker']
-        };
+    feedWS.on('open', () => {
+        console.log(`✅ Connected to ${adapter.name} WebSocket`);
         
-        coinbaseWS.send(JSON.stringify(subscribeMessage));
+        adapter.subscribeMessages(coinProducts.map(product => product.id)).forEach(message => {
+            feedWS.send(JSON.stringify(message));
+        });
     });
     
-    coinbaseWS.on('message', (data) => {
+    feedWS.on('message', (data) => {
         try {
-            const ticker = JSON.parse(data.toString());
-            
-            if (ticker.type === 'ticker') {
-                processTickerUpdate(ticker);
-            }
+            const message = JSON.parse(data.toString());
+            adapter.parseMessage(message, Date.now()).forEach(tick => {
+                if (tickRecorder) tickRecorder.record(tick);
+                processTickerUpdate(tick);
+            });
         } catch (error) {
-            console.error('Error parsing WebSocket message:', error);
+            console.error(`Error parsing ${adapter.name} message:`, error);
         }
     });
     
-    coinbaseWS.on('error', (error) => {
-        console.error('WebSocket error:', error);
+    feedWS.on('error', (error) => {
+        console.error(`${adapter.name} WebSocket error:`, error);
     });
     
-    coinbaseWS.on('close', () => {
-        console.log('WebSocket disconnected, reconnecting in 3 seconds...');
-        clearTimeout(reconnectTimeout);
-        reconnectTimeout = setTimeout(connectToCoinbase, 3000);
+    feedWS.on('close', () => {
+        console.log(`${adapter.name} WebSocket disconnected, reconnecting in 3 seconds...`);
+        clearTimeout(connection.reconnectTimeout);
+        connection.reconnectTimeout = setTimeout(() => connectToFeed(adapter), 3000);
     });
 }
 
+function isFeedConnected(name) {
+    const connection = feedConnections[name];
+    return Boolean(connection && connection.ws && connection.ws.readyState === WebSocket.OPEN);
+}
+
 // Adaptive threshold based on rolling volatility
 function calculateStdDev(values) {
     if (values.length < 2) return 0;
@@ -180,33 +325,168 @@ function calculateStdDev(values) {
     return Math.sqrt(variance);
 }
 
-function getVolatility(symbol) {
-    const history = marketData.priceHistory[symbol];
-    if (!history || history.length < 2) return 0;
+function getAssetClass(productId) {
+    const product = coinProducts.find(p => p.id === productId);
+    return product ? product.assetClass : null;
+}
+
+// A product's overrides apply to its series on every venue
+function getDetectionParameters(coin) {
+    if (!resolvedParameters[coin]) {
+        const productId = getProductId(coin);
+        resolvedParameters[coin] = resolveParameters(detectionConfig, productId, getAssetClass(productId));
+    }
+    return resolvedParameters[coin];
+}
+
+// Detection runs on one or more tracks. A track pairs a marketData-shaped store
+// (priceHistory, leaderEvents, causalityMatrix, directionCounts, cascades, statistics)
+// with the runtime caches detection needs. The raw track stores into marketData itself;
+// the adjusted track runs the same detection on market-factor residual prices.
+function createTrackData() {
+    return {
+        priceHistory: {},
+        leaderEvents: [],
+        causalityMatrix: {},
+        directionCounts: {},
+        cascades: createCascadeStats(),
+        statistics: { divergenceEvents: 0 }
+    };
+}
+
+function createTrack(name, data, trackCandles) {
+    return {
+        name: name,
+        data: data,
+        candles: trackCandles,
+        windowCooldowns: {}, // coin -> up/down -> windowMs -> time until which that window can't fire again
+        volatilityCache: {}, // coin -> { barTime, value }
+        controlWindows: {}   // coin -> { start, referencePrice, resolved }, see updateControlWindow
+    };
+}
+
+// Per-second volatility in percent, from 1s bar closes over volatilityWindowMs.
+// Gaps between bars are normalized so quiet coins aren't understated.
+function computeVolatility(track, symbol) {
+    const history = track.data.priceHistory[symbol];
+    if (!history || history.length === 0) return 0;
     
-    const recentPrices = history.slice(-21);
+    const { volatilityWindowMs } = getDetectionParameters(symbol);
+    const now = history[history.length - 1].time;
+    const bars = track.candles.getCandles(symbol, '1s', { from: now - volatilityWindowMs });
     const returns = [];
-    for (let i = 1; i < recentPrices.length; i++) {
-        returns.push(((recentPrices[i] - recentPrices[i-1]) / recentPrices[i-1]) * 100);
+    for (let i = 1; i < bars.length; i++) {
+        const seconds = (bars[i].time - bars[i-1].time) / 1000;
+        returns.push(((bars[i].close - bars[i-1].close) / bars[i-1].close) * 100 / Math.sqrt(seconds));
     }
     return calculateStdDev(returns);
 }
 
-function getAdaptiveThreshold(symbol, baseThreshold = 1.5) {
-    const volatility = getVolatility(symbol);
-    return Math.max(volatility * 2, baseThreshold); // 2-sigma moves
+// Recomputed at most once per 1s bar
+function getVolatility(track, symbol) {
+    const history = track.data.priceHistory[symbol];
+    const barTime = history && history.length > 0 ? Math.floor(history[history.length - 1].time / 1000) : null;
+    const cached = track.volatilityCache[symbol];
+    if (cached && cached.barTime === barTime) return cached.value;
+    const value = computeVolatility(track, symbol);
+    track.volatilityCache[symbol] = { barTime, value };
+    return value;
+}
+
+// Per-second volatility scales with the square root of the window length
+function getAdaptiveThreshold(track, symbol, window) {
+    const { sigmaMultiplier } = getDetectionParameters(symbol);
+    const volatility = getVolatility(track, symbol);
+    return Math.max(volatility * Math.sqrt(window.windowMs / 1000) * sigmaMultiplier, window.moveThreshold); // N-sigma moves
+}
+
+// Last price at or before the given time, or null if history doesn't reach back that far
+function getPriceAt(track, symbol, time) {
+    const history = track.data.priceHistory[symbol];
+    if (!history || history.length === 0 || history[0].time > time) return null;
+    let low = 0;
+    let high = history.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (history[mid].time <= time) low = mid;
+        else high = mid - 1;
+    }
+    return history[low].price;
+}
+
+function formatWindow(windowMs) {
+    return windowMs % 60000 === 0 ? `${windowMs / 60000}m` : `${windowMs / 1000}s`;
+}
+
+// Keep at least enough history to cover the longest lookback window
+function trimPriceHistory(track, symbol, now) {
+    const history = track.data.priceHistory[symbol];
+    const { lookbackWindows } = getDetectionParameters(symbol);
+    const keepSince = now - lookbackWindows[lookbackWindows.length - 1].windowMs - HISTORY_MARGIN_MS;
+    let drop = 0;
+    while (history.length - drop > MAX_HISTORY_POINTS ||
+        (history.length - drop > MIN_HISTORY_POINTS && history[drop].time < keepSince)) {
+        drop++;
+    }
+    if (drop > 0) history.splice(0, drop);
+}
+
+// Returns the shortest window whose return crosses its threshold, or null
+function detectWindowMove(track, symbol, price, timestamp) {
+    const { lookbackWindows } = getDetectionParameters(symbol);
+    const cooldowns = track.windowCooldowns[symbol] || (track.windowCooldowns[symbol] = { up: {}, down: {} });
+    const windowReturns = {};
+    let trigger = null;
+
+    lookbackWindows.forEach(window => {
+        const basePrice = getPriceAt(track, symbol, timestamp - window.windowMs);
+        if (!basePrice) return;
+        const windowReturn = ((price - basePrice) / basePrice) * 100;
+        const label = formatWindow(window.windowMs);
+        windowReturns[label] = windowReturn;
+
+        const threshold = getAdaptiveThreshold(track, symbol, window);
+        if (Math.abs(windowReturn) < threshold) return;
+        // A move stays above threshold for a while; only the first crossing per window counts
+        const directionCooldowns = cooldowns[windowReturn > 0 ? 'up' : 'down'];
+        const coolingDown = directionCooldowns[window.windowMs] !== undefined && timestamp < directionCooldowns[window.windowMs];
+        directionCooldowns[window.windowMs] = timestamp + window.windowMs;
+        if (!coolingDown && !trigger) {
+            trigger = { window: label, windowMs: window.windowMs, windowReturn, threshold };
+        }
+    });
+
+    if (!trigger) return null;
+
+    // The same move crosses the other windows' thresholds sooner or later, so once it
+    // fires every window cools down in its direction
+    const directionCooldowns = cooldowns[trigger.windowReturn > 0 ? 'up' : 'down'];
+    lookbackWindows.forEach(window => {
+        directionCooldowns[window.windowMs] = Math.max(directionCooldowns[window.windowMs] || 0, timestamp + window.windowMs);
+    });
+    return { ...trigger, windowReturns };
 }
 
-function getNormalizedMagnitudeRatio(leaderMove, followerMove, leaderSymbol, followerSymbol) {
-    const leaderVol = getVolatility(leaderSymbol) || 1;
-    const followerVol = getVolatility(followerSymbol) || 1;
+function getNormalizedMagnitudeRatio(track, leaderMove, followerMove, leaderSymbol, followerSymbol) {
+    const leaderVol = getVolatility(track, leaderSymbol) || 1;
+    const followerVol = getVolatility(track, followerSymbol) || 1;
     return Math.abs((followerMove / followerVol) / (leaderMove / leaderVol));
 }
 
-function processTickerUpdate(ticker) {
-    const coin = ticker.product_id;
-    const price = parseFloat(ticker.price);
-    const timestamp = Date.now();
+const feedLatency = createLatencyTracker();
+
+// Consumes normalized ticks produced by exchange-adapters.js. Returns false for ticks
+// that are dropped: untracked coins or feeds, and prices that aren't positive.
+function processTickerUpdate(tick) {
+    const coin = getSeriesId(tick);
+    const price = tick.price;
+    const exchangeTime = tick.exchangeTime;
+    const receiveTime = tick.receiveTime;
+    const timestamp = LAG_TIME_SOURCE === 'exchange' && exchangeTime !== null ? exchangeTime : receiveTime;
+    
+    feedLatency.observe(tick);
+    
+    if (!marketData.prices[coin] || !(price > 0)) return false;
     
     // Update price data
     const oldPrice = marketData.prices[coin].price || price;
@@ -217,98 +497,273 @@ function processTickerUpdate(ticker) {
         price: price,
         change: priceChange,
         changePercent: changePercent,
-        lastUpdate: timestamp
+        lastUpdate: timestamp,
+        exchangeTime: exchangeTime,
+        receiveTime: receiveTime
     };
     
-    // Store price history (limit to 1000 entries)
-    marketData.priceHistory[coin].push(price);
-    if (marketData.priceHistory[coin].length > 1000) {
-        marketData.priceHistory[coin].shift();
+    // ===== CAUSALITY DETECTION =====
+    
+    const tickInfo = { coin, timestamp, exchangeTime, receiveTime };
+    detectOnTrack(rawTrack, tickInfo, price, tick.size);
+    if (adjustedTrack) {
+        detectOnTrack(adjustedTrack, tickInfo, marketFactor.update(coin, price), undefined);
     }
     
-    // ===== CAUSALITY DETECTION =====
+    marketData.statistics.totalTicks++;
+    
+    // Queue update for batch broadcast
+    pendingUpdates[coin] = marketData.prices[coin];
+    return true;
+}
+
+// On the adjusted track `price` is the coin's residual index level, not a market price
+function detectOnTrack(track, { coin, timestamp, exchangeTime, receiveTime }, price, size) {
+    const data = track.data;
+    
+    // Store price history (bounded by time and count) and roll it into candles
+    data.priceHistory[coin].push(size !== undefined ? { time: timestamp, price: price, size: size } : { time: timestamp, price: price });
+    trimPriceHistory(track, coin, timestamp);
+    track.candles.addTick(coin, timestamp, price, size);
     
-    // Detect leader events (significant moves)
-    const adaptiveThreshold = getAdaptiveThreshold(coin, MOVE_THRESHOLD);
-    if (Math.abs(changePercent) >= adaptiveThreshold) {
+    const params = getDetectionParameters(coin);
+    
+    // Followers first, so a move that both answers another leader and fires its own event can chain
+    updateControlWindow(track, coin, price, timestamp, params);
+    updateFollowers(track, coin, price, timestamp, receiveTime, params);
+    
+    // Detect leader events (significant moves over any lookback window)
+    const windowMove = detectWindowMove(track, coin, price, timestamp);
+    if (windowMove) {
         const leaderEvent = {
+            id: track === rawTrack ? `${coin}-${timestamp}` : `${coin}-${timestamp}-${track.name}`,
+            track: track.name,
             timestamp: timestamp,
+            exchangeTime: exchangeTime,
+            receiveTime: receiveTime,
             leader: coin,
             price: price,
-            changePercent: changePercent,
-            direction: changePercent > 0 ? 'pump' : 'dump',
-            followersResponded: {}
+            changePercent: windowMove.windowReturn,
+            direction: windowMove.windowReturn > 0 ? 'pump' : 'dump',
+            window: windowMove.window,
+            windowMs: windowMove.windowMs,
+            threshold: windowMove.threshold,
+            windowReturns: windowMove.windowReturns,
+            lagWindowMs: params.lagWindowMs,
+            regime: regimeClassifier.getRegime(),
+            parameterSetId: parameterSetId,
+            // Follower moves are measured from their price when the event fired
+            referencePrices: getReferencePrices(track, coin),
+            followersResponded: {},
+            divergences: {},
+            resolutions: {}
         };
         
-        marketData.leaderEvents.push(leaderEvent);
+        const parentEvent = findParentEvent(data.leaderEvents, leaderEvent);
+        if (parentEvent) {
+            leaderEvent.cascade = linkEvent(data.cascades, parentEvent, leaderEvent);
+        }
+        
+        data.leaderEvents.push(leaderEvent);
+        data.directionCounts[coin][leaderEvent.direction === 'pump' ? 'pumps' : 'dumps']++;
+        if (track === rawTrack) issueSignals(leaderEvent);
         
         // Clean old events
-        marketData.leaderEvents = marketData.leaderEvents.filter(
-            e => timestamp - e.timestamp < LAG_WINDOW
-        );
+        expireTrackEvents(track, timestamp);
         
-        console.log(`🚨 ${coin} ${leaderEvent.direction.toUpperCase()}: ${changePercent.toFixed(2)}%`);
+        console.log(`🚨 ${track === rawTrack ? '' : `[${track.name}] `}${coin} ${leaderEvent.direction.toUpperCase()}: ` +
+            `${leaderEvent.changePercent.toFixed(2)}% over ${leaderEvent.window}` +
+            (leaderEvent.cascade ? ` (cascade ${leaderEvent.cascade.chain.join(' → ')})` : ''));
+        publish('events', { type: 'leader_event', event: leaderEvent }, { coin });
     }
-    
-    // Check for follower events
-    marketData.leaderEvents.forEach(leaderEvent => {
-        if (leaderEvent.leader !== coin) {
-            const lagTime = timestamp - leaderEvent.timestamp;
+}
+
+function getReferencePrices(track, leader) {
+    const referencePrices = {};
+    COINS.forEach(coin => {
+        if (coin === leader) return;
+        const history = track.data.priceHistory[coin];
+        referencePrices[coin] = history.length > 0 ? history[history.length - 1].price : null;
+    });
+    return referencePrices;
+}
+
+// Each (leader event, follower) pair is resolved exactly once, at the follower's first move
+// beyond followerFloor: a follow if it's in the leader's direction, a divergence if not.
+// Followers that never get that far are misses when the window expires. Control windows
+// (updateControlWindow) resolve the same way, so the baseline measures the same thing.
+function updateFollowers(track, coin, price, timestamp, receiveTime, params) {
+    const data = track.data;
+    data.leaderEvents.forEach(leaderEvent => {
+        if (leaderEvent.leader === coin || !(coin in leaderEvent.referencePrices) || leaderEvent.resolutions[coin]) return;
+        
+        const lagTime = timestamp - leaderEvent.timestamp;
+        // A negative lag means this tick happened before the leader event and arrived late
+        if (lagTime < 0 || lagTime >= leaderEvent.lagWindowMs) return;
+        
+        const referencePrice = leaderEvent.referencePrices[coin];
+        if (!referencePrice) {
+            // No price yet when the event fired; measure from the first one seen after it
+            leaderEvent.referencePrices[coin] = price;
+            return;
+        }
+        
+        const move = ((price - referencePrice) / referencePrice) * 100;
+        if (Math.abs(move) < params.followerFloor) return;
+        
+        if ((move > 0) === (leaderEvent.changePercent > 0)) {
+            const magnitudeRatio = getNormalizedMagnitudeRatio(track, leaderEvent.changePercent, move, leaderEvent.leader, coin);
+            recordFollow(data.causalityMatrix[leaderEvent.leader][coin], lagTime, magnitudeRatio, timestamp, leaderEvent.regime);
+            if (track === rawTrack) dirtyPairs.add(`${leaderEvent.leader}>${coin}`);
             
-            if (lagTime < LAG_WINDOW && Math.abs(changePercent) >= 0.005) {
-                const sameDirection = (changePercent > 0 && leaderEvent.changePercent > 0) ||
-                                     (changePercent < 0 && leaderEvent.changePercent < 0);
-                
-                if (sameDirection) {
-                    const magnitudeRatio = getNormalizedMagnitudeRatio(leaderEvent.changePercent, changePercent, leaderEvent.leader, coin);
-                    const relationship = marketData.causalityMatrix[leaderEvent.leader][coin];
-                    
-                    relationship.lagTimes.push(lagTime);
-                    relationship.magnitudeRatios.push(magnitudeRatio);
-                    relationship.successfulFollows++;
-                    
-                    // Update averages
-                    relationship.avgLag = relationship.lagTimes.reduce((a, b) => a + b, 0) / relationship.lagTimes.length;
-                    relationship.avgMagnitude = relationship.magnitudeRatios.reduce((a, b) => a + b, 0) / relationship.magnitudeRatios.length;
-                    relationship.followRate = relationship.successfulFollows / 
-                                             (relationship.successfulFollows + relationship.missedFollows);
-                    
-                    leaderEvent.followersResponded[coin] = {
-                        lagTime: lagTime,
-                        changePercent: changePercent,
-                        magnitudeRatio: magnitudeRatio
-                    };
-                } else {
-                    marketData.causalityMatrix[leaderEvent.leader][coin].missedFollows++;
-                    marketData.statistics.divergenceEvents++;
-                }
+            leaderEvent.followersResponded[coin] = {
+                lagTime: lagTime,
+                receiveLagTime: receiveTime - leaderEvent.receiveTime,
+                changePercent: move,
+                magnitudeRatio: magnitudeRatio
+            };
+            setResolution(track, leaderEvent, coin, { outcome: 'follow', reason: 'moved_with_leader', lagTime: lagTime }, timestamp);
+            if (leaderEvent.cascade) {
+                recordPathHit(data.cascades, leaderEvent.cascade, coin, lagTime, timestamp);
             }
+        } else {
+            recordMiss(data.causalityMatrix[leaderEvent.leader][coin], timestamp, leaderEvent.regime);
+            if (track === rawTrack) dirtyPairs.add(`${leaderEvent.leader}>${coin}`);
+            
+            leaderEvent.divergences[coin] = { firstLagTime: lagTime, changePercent: move };
+            data.statistics.divergenceEvents++;
+            setResolution(track, leaderEvent, coin, { outcome: 'divergence', reason: 'moved_against_leader', lagTime: lagTime }, timestamp);
+        }
+    });
+}
+
+// Followers still unresolved when the window closes count as misses
+function resolveExpiredFollowers(track, event) {
+    const data = track.data;
+    const closeTime = event.timestamp + event.lagWindowMs;
+    Object.keys(event.referencePrices).forEach(follower => {
+        if (event.resolutions[follower]) return;
+        
+        const rel = data.causalityMatrix[event.leader] && data.causalityMatrix[event.leader][follower];
+        if (!rel || !event.referencePrices[follower]) {
+            setResolution(track, event, follower, { outcome: 'unresolved', reason: rel ? 'no_price_data' : 'coin_removed' }, closeTime);
+            return;
         }
+        
+        recordMiss(rel, closeTime, event.regime);
+        if (track === rawTrack) dirtyPairs.add(`${event.leader}>${follower}`);
+        setResolution(track, event, follower, { outcome: 'miss', reason: 'no_qualifying_move' }, closeTime);
     });
+}
+
+// Records a follower's resolution, settles any prediction made for it and scores it
+function setResolution(track, event, follower, resolution, time) {
+    event.resolutions[follower] = resolution;
+    if (track !== rawTrack) return;
     
-    marketData.statistics.totalTicks++;
+    const prediction = signalEngine.resolve(event.id, follower, resolution, time);
+    if (!prediction) return;
+    if (prediction.status !== 'void') {
+        recordPrediction(marketData.calibration, prediction, prediction.status === 'hit');
+    }
+    if (prediction.issued) {
+        publish('signals', { type: 'signal_result', signal: prediction, accuracy: signalEngine.getAccuracy() }, prediction, { firehose: true });
+    }
+}
+
+// Signals for the followers of a new leader event that have a strong, significant record
+function issueSignals(event) {
+    const matrixStats = getMatrixStats('all');
+    const significance = getPairSignificance(matrixStats);
+    const row = marketData.causalityMatrix[event.leader] || {};
+    const tests = significance[event.leader] || {}; // Only pairs with outcomes are tested
+    const candidates = Object.keys(row).map(follower => ({
+        follower: follower,
+        stats: matrixStats[event.leader][follower],
+        regimeStats: getRegimeStats(row[follower], event.regime),
+        test: tests[follower]
+    }));
     
-    // Queue update for batch broadcast
-    pendingUpdates[coin] = marketData.prices[coin];
+    signalEngine.generate(event, candidates).forEach(signal => {
+        publish('signals', { type: 'signal', signal: signal }, signal, { firehose: true });
+    });
+}
+
+// Background windows give the significance baseline: how often a coin makes a qualifying
+// move up, down or not at all within lagWindowMs, with no leader event involved
+function updateControlWindow(track, coin, price, timestamp, params) {
+    const window = track.controlWindows[coin];
+    const counts = track.data.directionCounts[coin];
+    
+    if (!window || timestamp - window.start >= params.lagWindowMs) {
+        if (window && !window.resolved) counts.flat++;
+        track.controlWindows[coin] = { start: timestamp, referencePrice: price, resolved: false };
+        return;
+    }
+    if (window.resolved) return;
+    
+    const move = ((price - window.referencePrice) / window.referencePrice) * 100;
+    if (Math.abs(move) >= params.followerFloor) {
+        counts[move > 0 ? 'up' : 'down']++;
+        window.resolved = true;
+    }
 }
 
 // WebSocket server for frontend clients
-const wss = new WebSocket.Server({ server });
-const clients = new Set();
+//
+// Clients that never subscribe get the original firehose: initial_state, then every
+// batch_update, regime, signal and signal_result message. A subscribe request switches a
+// client to only the channels it asked for (see ws-subscriptions.js). Requests:
+//
+//   { "type": "subscribe", "id": "1", "channels": ["prices:BTC-USD", "signals:BTC-USD>ETH-USD"] }
+//   { "type": "unsubscribe", "id": "2", "channels": ["prices:BTC-USD"] }
+//   { "type": "subscriptions", "id": "3" }
+//   { "type": "ping", "id": "4" }
+//
+// Every reply echoes the request's id. Subscribing to prices, matrix or health is
+// followed by a snapshot of that channel's current state, tagged with the same id.
+//
+// The handshake needs an API key (x-api-key header or api_key query parameter, as for
+// REST); the key decides which channels the client may receive (see api-keys.js).
+const wss = new WebSocket.Server({ noServer: true });
+const clients = new Map(); // ws -> { identity, subscriptions (null while on the firehose), isAlive }
+const dirtyPairs = new Set(); // 'leader>follower' raw pairs whose stats changed since the last matrix_delta
+
+server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const identity = apiKeys.authenticate(req.headers['x-api-key'] || url.searchParams.get('api_key'));
+    const rejection = !identity ? '401 Unauthorized' :
+        identity.channels.size === 0 ? '403 Forbidden' :
+            !apiKeys.consumeRateLimit(identity, Date.now()).allowed ? '429 Too Many Requests' :
+                null;
+    if (rejection) {
+        socket.write(`HTTP/1.1 ${rejection}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+        socket.destroy();
+        return;
+    }
+    apiKeys.recordUsage(identity, null, 'websocket', Date.now());
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, identity));
+});
 
-wss.on('connection', (ws) => {
-    console.log('New frontend client connected');
-    clients.add(ws);
+wss.on('connection', (ws, identity) => {
+    console.log(`New frontend client connected (${identity.owner})`);
+    const client = { identity: identity, subscriptions: null, isAlive: true };
+    clients.set(ws, client);
     
-    // Send current market state to new client
+    // Send current market state to new client, limited to what its key may see
     ws.send(JSON.stringify({
         type: 'initial_state',
-        prices: marketData.prices,
-        leaderEvents: marketData.leaderEvents,
+        prices: identity.channels.has('prices') ? marketData.prices : {},
+        leaderEvents: identity.channels.has('events') ? marketData.leaderEvents : [],
         statistics: marketData.statistics,
-        coinConfig: COINS
+        coinConfig: COINS,
+        assetClasses: groupByAssetClass(coinProducts),
+        channels: [...identity.channels]
     }));
     
+    ws.on('message', (raw) => handleClientMessage(ws, raw));
+    ws.on('pong', () => { client.isAlive = true; });
+    
     ws.on('close', () => {
         console.log('Frontend client disconnected');
         clients.delete(ws);
@@ -319,34 +774,244 @@ wss.on('connection', (ws) => {
     });
 });
 
+function sendToClient(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(data));
+    }
+}
+
+function handleClientMessage(ws, raw) {
+    let request;
+    try {
+        request = JSON.parse(raw);
+    } catch (error) {
+        return sendToClient(ws, { type: 'error', id: null, error: 'Messages must be JSON' });
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+        return sendToClient(ws, { type: 'error', id: null, error: 'Messages must be JSON objects' });
+    }
+    
+    const id = request.id !== undefined ? request.id : null;
+    const client = clients.get(ws);
+    if (!client) return;
+    
+    if (request.type === 'subscribe') {
+        const { parsed, error } = parseChannelKeys(request.channels, COINS);
+        if (error) return sendToClient(ws, { type: 'error', id: id, error: error });
+        const forbidden = parsed.find(subscription => !client.identity.channels.has(subscription.channel));
+        if (forbidden) {
+            return sendToClient(ws, { type: 'error', id: id, error: `Forbidden: this API key can't subscribe to ${forbidden.channel}` });
+        }
+        
+        const subscriptions = client.subscriptions || createSubscriptions();
+        const limitError = subscriptions.add(parsed);
+        if (limitError) return sendToClient(ws, { type: 'error', id: id, error: limitError });
+        
+        client.subscriptions = subscriptions;
+        sendToClient(ws, { type: 'subscribed', id: id, channels: subscriptions.keys() });
+        parsed.forEach(subscription => sendChannelSnapshot(ws, subscription, id));
+    } else if (request.type === 'unsubscribe') {
+        if (!Array.isArray(request.channels) || !request.channels.every(key => typeof key === 'string')) {
+            return sendToClient(ws, { type: 'error', id: id, error: 'channels must be an array of strings' });
+        }
+        // Unsubscribing from everything leaves the client subscribed to nothing, not on the firehose
+        client.subscriptions = client.subscriptions || createSubscriptions();
+        client.subscriptions.remove(request.channels);
+        sendToClient(ws, { type: 'unsubscribed', id: id, channels: client.subscriptions.keys() });
+    } else if (request.type === 'subscriptions') {
+        sendToClient(ws, { type: 'subscriptions', id: id, channels: client.subscriptions ? client.subscriptions.keys() : null });
+    } else if (request.type === 'ping') {
+        sendToClient(ws, { type: 'pong', id: id, time: Date.now() });
+    } else {
+        sendToClient(ws, { type: 'error', id: id, error: `Unknown message type "${request.type}"` });
+    }
+}
+
+// Current state for a newly subscribed state channel
+function sendChannelSnapshot(ws, subscription, id) {
+    if (subscription.channel === 'prices') {
+        const prices = {};
+        Object.keys(marketData.prices).forEach(coin => {
+            if (matchesSubject(subscription, { coin })) prices[coin] = marketData.prices[coin];
+        });
+        sendToClient(ws, { type: 'prices', channel: 'prices', id: id, prices: prices });
+    } else if (subscription.channel === 'matrix') {
+        const matrix = buildSimplifiedMatrix();
+        const pairs = getMatrixPairs(matrix, (leader, follower) => matchesSubject(subscription, { leader, follower }));
+        sendToClient(ws, { type: 'matrix_snapshot', channel: 'matrix', id: id, pairs: pairs });
+    } else if (subscription.channel === 'health') {
+        sendToClient(ws, { type: 'health', channel: 'health', id: id, ...getHealthStatus() });
+    }
+}
+
+// Flattens a simplified matrix into [{ leader, follower, ...stats }] for the pairs `wants` accepts
+function getMatrixPairs(matrix, wants) {
+    const pairs = [];
+    Object.keys(matrix).forEach(leader => {
+        Object.keys(matrix[leader]).forEach(follower => {
+            if (wants(leader, follower)) pairs.push({ leader: leader, follower: follower, ...matrix[leader][follower] });
+        });
+    });
+    return pairs;
+}
+
+// Terminates clients that didn't answer the previous ping
+function checkClientHeartbeats() {
+    clients.forEach((client, ws) => {
+        if (!client.isAlive) {
+            console.log(`Dropping unresponsive frontend client (${client.identity.owner})`);
+            clients.delete(ws);
+            ws.terminate();
+            return;
+        }
+        client.isAlive = false;
+        ws.ping();
+    });
+}
+
+// Closes the connections opened with a key that was just rotated or revoked
+function disconnectKeyClients(keyId, reason) {
+    clients.forEach((client, ws) => {
+        if (client.identity.id === keyId) ws.close(1008, reason);
+    });
+}
+
+// Every client, subscribed or not
 function broadcastToClients(data) {
     const message = JSON.stringify(data);
-    clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
+    clients.forEach((client, ws) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(message);
         }
     });
 }
 
+// Clients subscribed to `channel` for `subject`, plus firehose clients for message types
+// that were on the firehose before subscriptions existed
+function publish(channel, data, subject = {}, { firehose = false } = {}) {
+    let message = null;
+    clients.forEach((client, ws) => {
+        const wanted = client.subscriptions ?
+            client.subscriptions.wants(channel, subject) :
+            firehose && client.identity.channels.has(channel);
+        if (!wanted || ws.readyState !== WebSocket.OPEN) return;
+        message = message || JSON.stringify({ ...data, channel: channel });
+        ws.send(message);
+    });
+}
+
 // Data persistence
 const DATA_DIR = path.join(__dirname, 'data');
 
+// Leader event audit trail (not written during replays)
+const EVENT_DIR = path.join(DATA_DIR, 'events');
+const EVENT_RETENTION_DAYS = parseFloat(process.env.EVENT_RETENTION_DAYS) || 30;
+const eventStore = !REPLAY_MODE ?
+    createEventStore({ dir: EVENT_DIR, retentionDays: EVENT_RETENTION_DAYS }) :
+    null;
+
+function persistLeaderEvent(event, closedBy) {
+    if (!eventStore) return;
+    try {
+        eventStore.append({ ...event, closedBy: closedBy, closedAt: clock.now() });
+    } catch (error) {
+        console.error('Error persisting leader event:', error);
+    }
+}
+
+function closeLeaderEvent(event, closedBy) {
+    persistLeaderEvent(event, closedBy);
+    publish('events', { type: 'leader_event_closed', event: event, closedBy: closedBy }, { coin: event.leader });
+}
+
+// Removes events whose follow window has passed and writes them to the audit trail
+function expireTrackEvents(track, now) {
+    const active = [];
+    let expired = 0;
+    
+    track.data.leaderEvents.forEach(event => {
+        if (now - event.timestamp < event.lagWindowMs) {
+            active.push(event);
+        } else {
+            resolveExpiredFollowers(track, event);
+            closeLeaderEvent(event, 'expired');
+            expired++;
+        }
+    });
+    
+    track.data.leaderEvents = active;
+    return expired;
+}
+
+function expireLeaderEvents(now) {
+    return tracks.reduce((expired, track) => expired + expireTrackEvents(track, now), 0);
+}
+
+function refreshRegime() {
+    const now = clock.now();
+    const barsByCoin = {};
+    // One series per product, so a coin listed on several venues isn't counted twice
+    coinProducts.forEach(({ id: coin }) => {
+        barsByCoin[coin] = candles.getCandles(coin, '1m', {
+            from: now - Math.max(REGIME_CONFIG.volWindowMs, REGIME_CONFIG.trendWindowMs)
+        });
+    });
+    
+    if (regimeClassifier.classify(barsByCoin, now)) {
+        const status = regimeClassifier.getStatus();
+        console.log(`🌡️ Market regime is now ${status.regime}`);
+        publish('health', { type: 'regime', ...status }, {}, { firehose: true });
+    }
+}
+
+// Betas and PCA weights come from the raw 5s bars
+function refreshMarketFactor() {
+    if (!marketFactor) return;
+    const histories = {};
+    COINS.forEach(coin => {
+        histories[coin] = candles.getCandles(coin, '5s').map(bar => ({ time: bar.time, price: bar.close }));
+    });
+    marketFactor.estimate(histories, COINS, clock.now());
+}
+
 function cleanupEvents() {
-    const now = Date.now();
-    const initialCount = marketData.leaderEvents.length;
+    const expired = expireLeaderEvents(clock.now());
     
-    marketData.leaderEvents = marketData.leaderEvents.filter(
-        e => now - e.timestamp < LAG_WINDOW
-    );
+    if (expired > 0) {
+        console.log(`🧹 Pruned ${expired} expired leader events`);
+    }
     
-    if (marketData.leaderEvents.length < initialCount) {
-        console.log(`🧹 Pruned ${initialCount - marketData.leaderEvents.length} expired leader events`);
+    if (eventStore) {
+        try {
+            eventStore.cleanup();
+        } catch (error) {
+            console.error('Error cleaning up event files:', error);
+        }
     }
 }
 
+// Time buckets and reservoirs are saved per pair by pairDetails, not in the snapshot
+function withoutPairDetail(matrix) {
+    const saved = {};
+    Object.keys(matrix).forEach(leader => {
+        saved[leader] = {};
+        Object.keys(matrix[leader]).forEach(follower => {
+            saved[leader][follower] = withoutDetail(matrix[leader][follower]);
+        });
+    });
+    return saved;
+}
+
 function saveData(skipCleanup = false) {
+    const savedMarketData = { ...marketData, causalityMatrix: withoutPairDetail(marketData.causalityMatrix) };
+    if (marketData.adjusted) {
+        savedMarketData.adjusted = { ...marketData.adjusted, causalityMatrix: withoutPairDetail(marketData.adjusted.causalityMatrix) };
+    }
     const dataToSave = {
-        marketData: marketData,
+        schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+        parameterSetId: parameterSetId,
+        detectionConfig: detectionConfig,
+        marketData: savedMarketData,
         timestamp: Date.now()
     };
     
@@ -358,11 +1023,21 @@ function saveData(skipCleanup = false) {
         // Write to temp file first to prevent corruption
         fs.writeFileSync(tempFilePath, JSON.stringify(dataToSave, null, 2));
         fs.renameSync(tempFilePath, filePath);
-        console.log(`💾 Data saved to ${filename}`);
+        const pairsWritten = tracks.reduce((sum, track) => sum + pairDetails.save(track.name, track.data.causalityMatrix), 0);
+        console.log(`💾 Data saved to ${filename} (${pairsWritten} pair details updated)`);
     } catch (error) {
         console.error('Error saving data:', error);
     }
     
+    // Usage counters are written with the snapshots rather than on every request
+    if (apiKeys) {
+        try {
+            apiKeys.save();
+        } catch (error) {
+            console.error('Error saving API key usage:', error);
+        }
+    }
+    
     if (skipCleanup) return;
 
     // Keep only last 24 hours of data files
@@ -390,128 +1065,925 @@ if (!fs.existsSync(DATA_DIR)) {
     }
 }
 
-// Set up periodic data saving
-setInterval(saveData, SAVE_INTERVAL);
-setInterval(cleanupEvents, 60000);
+// Per-pair time buckets and reservoirs, written alongside the snapshots (see pair-detail-store.js)
+const pairDetails = createPairDetailStore({ dir: path.join(DATA_DIR, 'pairs') });
 
-// Set up periodic client broadcasting
-setInterval(() => {
-    const coins = Object.keys(pendingUpdates);
-    if (coins.length > 0) {
-        broadcastToClients({
-            type: 'batch_update',
-            updates: pendingUpdates,
-            timestamp: Date.now(),
-            leaderEvents: marketData.leaderEvents.length
-        });
-        pendingUpdates = {};
-    }
-}, BROADCAST_INTERVAL);
+// Raw tick recording (TICK_RECORDING=false disables it)
+const TICK_DIR = path.join(DATA_DIR, 'ticks');
+const TICK_RETENTION_DAYS = parseFloat(process.env.TICK_RETENTION_DAYS) || 7;
+const tickRecorder = !REPLAY_MODE && process.env.TICK_RECORDING !== 'false' ?
+    createTickRecorder({ dir: TICK_DIR, retentionDays: TICK_RETENTION_DAYS }) :
+    null;
 
-// API Security Middleware
-const API_KEY = process.env.API_KEY || 'alphaflow-demo-key-2024';
+// Snapshot restore
+const SNAPSHOT_FILE_PATTERN = /^cryptosoup_data_(\d+)\.json$/;
+let snapshotRestore = null; // Details of the snapshot loaded at boot (reported by /api/health)
 
-const authenticateApiKey = (req, res, next) => {
-    // Skip auth for health check (req.path is relative to mount point '/api')
-    if (req.path === '/health') return next();
-    
-    const apiKey = req.headers['x-api-key'] || req.query.api_key;
-    
-    if (!apiKey || apiKey !== API_KEY) {
-        return res.status(401).json({
-            success: false,
-            error: 'Unauthorized: Invalid or missing API key'
-        });
-    }
-    next();
-};
+// Snapshots written before versioning have no schemaVersion but share the v1 layout
+function getSnapshotVersion(snapshot) {
+    return snapshot.schemaVersion === undefined ? 1 : snapshot.schemaVersion;
+}
 
-// Apply security to API routes
-app.use('/api', authenticateApiKey);
+function isValidSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return false;
+    const version = getSnapshotVersion(snapshot);
+    if (version < 1 || version > SNAPSHOT_SCHEMA_VERSION) return false;
+    
+    const saved = snapshot.marketData;
+    return saved !== null && typeof saved === 'object' &&
+        saved.causalityMatrix !== null && typeof saved.causalityMatrix === 'object';
+}
 
-// REST API Endpoints
-app.get('/api/market/prices', (req, res) => {
-    res.json({
-        success: true,
-        timestamp: Date.now(),
-        prices: marketData.prices,
-        statistics: marketData.statistics
-    });
-});
+// Before v4 a follower that first moved against the leader could still count as following
+// it later in the window, so the follow outcomes, lags, cascade hits and calibration scores
+// saved then are biased
+function hasUnbiasedOutcomes(version) {
+    return version >= 4;
+}
 
-app.get('/api/market/history/:coin', (req, res) => {
-    const coin = req.params.coin;
-    if (marketData.priceHistory[coin]) {
-        res.json({
-            success: true,
-            coin: coin,
-            history: marketData.priceHistory[coin].slice(-100) // Last 100 points
+// Restores one track's matrix, direction counts and cascades from its saved copy. Since v5
+// the pairs' buckets and reservoirs come from pairDetails; v4 snapshots still carry them.
+function restoreTrackData(track, saved, version) {
+    const data = track.data;
+    const savedMatrix = saved.causalityMatrix;
+    const outcomesUsable = hasUnbiasedOutcomes(version);
+    let pairsRestored = 0;
+    let pairsInvalid = 0;
+    
+    if (outcomesUsable) {
+        COINS.forEach(leader => {
+            const savedRow = savedMatrix[leader];
+            if (!savedRow || typeof savedRow !== 'object') return;
+            
+            COINS.forEach(follower => {
+                if (leader === follower || !(follower in savedRow)) return;
+                
+                const savedPair = savedRow[follower];
+                if (!isValidPairStats(savedPair)) {
+                    pairsInvalid++;
+                    return;
+                }
+                
+                data.causalityMatrix[leader][follower] = {
+                    ...createPairStats(leader, follower),
+                    ...savedPair,
+                    ...pairDetails.load(track.name, leader, follower)
+                };
+                pairsRestored++;
+            });
         });
-    } else {
-        res.status(404).json({ success: false, error: 'Coin not found' });
     }
-});
-
-app.get('/api/causality/matrix', (req, res) => {
-    const simplifiedMatrix = {};
     
-    Object.keys(marketData.causalityMatrix).forEach(leader => {
-        simplifiedMatrix[leader] = {};
-        Object.keys(marketData.causalityMatrix[leader]).forEach(follower => {
-            const rel = marketData.causalityMatrix[leader][follower];
-            if (rel.successfulFollows > 0) {
+    // Before v3 direction counts were per tick, which doesn't match the per-window baseline
+    const savedDirections = version >= 3 ? saved.directionCounts || {} : {};
+    COINS.forEach(coin => {
+        const counts = savedDirections[coin];
+        if (!counts || typeof counts !== 'object') return;
+        Object.keys(data.directionCounts[coin]).forEach(key => {
+            if (Number.isFinite(counts[key])) data.directionCounts[coin][key] = counts[key];
+        });
+    });
+    
+    if (outcomesUsable && isValidCascadeStats(saved.cascades)) {
+        data.cascades = saved.cascades;
+        Object.keys(savedMatrix)
+            .filter(coin => !COINS.includes(coin))
+            .forEach(coin => removeCascadeCoin(data.cascades, coin));
+    }
+    
+    const savedStats = saved.statistics || {};
+    if (outcomesUsable && Number.isFinite(savedStats.divergenceEvents)) {
+        data.statistics.divergenceEvents = savedStats.divergenceEvents;
+    }
+    
+    return { pairsRestored, pairsInvalid };
+}
+
+function restoreSnapshot(snapshot) {
+    const savedCoins = Object.keys(snapshot.marketData.causalityMatrix);
+    const version = getSnapshotVersion(snapshot);
+    
+    const { pairsRestored, pairsInvalid } = restoreTrackData(rawTrack, snapshot.marketData, version);
+    
+    // The adjusted track is only restored when the market factor is on now and was on then
+    const savedAdjusted = snapshot.marketData.adjusted;
+    if (adjustedTrack && savedAdjusted && typeof savedAdjusted === 'object' &&
+        savedAdjusted.causalityMatrix && typeof savedAdjusted.causalityMatrix === 'object') {
+        restoreTrackData(adjustedTrack, savedAdjusted, version);
+    }
+    
+    if (hasUnbiasedOutcomes(version) && isValidCalibrationStats(snapshot.marketData.calibration)) {
+        marketData.calibration = snapshot.marketData.calibration;
+        savedCoins
+            .filter(coin => !COINS.includes(coin))
+            .forEach(coin => removeCalibrationCoin(marketData.calibration, coin));
+    }
+    
+    const savedStats = snapshot.marketData.statistics || {};
+    if (Number.isFinite(savedStats.totalTicks)) marketData.statistics.totalTicks = savedStats.totalTicks;
+    
+    return {
+        pairsRestored,
+        pairsInvalid,
+        outcomesDiscarded: !hasUnbiasedOutcomes(version),
+        // Coins in the snapshot that are no longer tracked are dropped
+        coinsSkipped: savedCoins.filter(coin => !COINS.includes(coin)),
+        // Newly tracked coins start with empty statistics
+        coinsAdded: COINS.filter(coin => !savedCoins.includes(coin))
+    };
+}
+
+function loadLatestSnapshot() {
+    if (!fs.existsSync(DATA_DIR)) return;
+    
+    const candidates = fs.readdirSync(DATA_DIR)
+        .map(file => ({ file, match: file.match(SNAPSHOT_FILE_PATTERN) }))
+        .filter(c => c.match)
+        .sort((a, b) => Number(b.match[1]) - Number(a.match[1]));
+    
+    for (const { file } of candidates) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+        } catch (error) {
+            console.error(`Skipping unreadable snapshot ${file}:`, error.message);
+            continue;
+        }
+        
+        if (!isValidSnapshot(snapshot)) {
+            console.warn(`Skipping snapshot ${file}: unsupported schema`);
+            continue;
+        }
+        
+        const result = restoreSnapshot(snapshot);
+        snapshotRestore = {
+            file: file,
+            savedAt: snapshot.timestamp || null,
+            parameterSetId: snapshot.parameterSetId || null,
+            restoredAt: Date.now(),
+            ...result
+        };
+        console.log(`♻️  Restored ${result.pairsRestored} pairs from ${file}`);
+        if (result.outcomesDiscarded) {
+            console.log('   Follow and calibration statistics predate the current follower resolution and were discarded');
+        }
+        if (result.coinsSkipped.length > 0) {
+            console.log(`   Skipped coins no longer tracked: ${result.coinsSkipped.join(', ')}`);
+        }
+        return;
+    }
+    
+    console.log('No usable snapshot found, starting with empty causality data');
+}
+
+// Replays always start from an empty matrix so results are repeatable
+if (!REPLAY_MODE) {
+    loadLatestSnapshot();
+    pairDetails.retainCoins(COINS);
+    
+    // Set up periodic data saving
+    setInterval(saveData, SAVE_INTERVAL);
+    setInterval(cleanupEvents, 60000);
+    setInterval(refreshRegime, REGIME_REFRESH);
+    if (marketFactor) setInterval(refreshMarketFactor, MARKET_FACTOR_REFRESH);
+    
+    // Set up periodic client broadcasting
+    setInterval(broadcastPendingUpdates, BROADCAST_INTERVAL);
+    setInterval(publishHealth, HEALTH_PUSH_INTERVAL);
+    setInterval(checkClientHeartbeats, WS_HEARTBEAT_INTERVAL);
+}
+
+function broadcastPendingUpdates() {
+    const coins = Object.keys(pendingUpdates);
+    if (coins.length > 0) {
+        const timestamp = Date.now();
+        const leaderEvents = marketData.leaderEvents.length;
+        let firehoseMessage = null;
+        
+        clients.forEach((client, ws) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            if (!client.subscriptions) {
+                if (!client.identity.channels.has('prices')) return;
+                firehoseMessage = firehoseMessage || JSON.stringify({
+                    type: 'batch_update',
+                    updates: pendingUpdates,
+                    timestamp: timestamp,
+                    leaderEvents: leaderEvents
+                });
+                ws.send(firehoseMessage);
+                return;
+            }
+            
+            // Subscribed clients only get the coins they asked for
+            const updates = {};
+            coins.forEach(coin => {
+                if (client.subscriptions.wants('prices', { coin })) updates[coin] = pendingUpdates[coin];
+            });
+            if (Object.keys(updates).length > 0) {
+                sendToClient(ws, { type: 'batch_update', channel: 'prices', updates: updates, timestamp: timestamp, leaderEvents: leaderEvents });
+            }
+        });
+        pendingUpdates = {};
+    }
+    
+    publishMatrixDelta();
+}
+
+// Stats of the pairs that changed since the last delta, to matrix subscribers
+function publishMatrixDelta() {
+    if (dirtyPairs.size === 0) return;
+    const changed = new Set(dirtyPairs);
+    dirtyPairs.clear();
+    
+    let matrix = null; // Only built when someone is subscribed to a changed pair
+    clients.forEach((client, ws) => {
+        if (!client.subscriptions || ws.readyState !== WebSocket.OPEN) return;
+        const wants = (leader, follower) => changed.has(`${leader}>${follower}`) &&
+            client.subscriptions.wants('matrix', { leader, follower });
+        if (![...changed].some(key => wants(...key.split('>')))) return;
+        
+        matrix = matrix || buildSimplifiedMatrix();
+        const pairs = getMatrixPairs(matrix, wants);
+        if (pairs.length > 0) {
+            sendToClient(ws, { type: 'matrix_delta', channel: 'matrix', pairs: pairs, timestamp: Date.now() });
+        }
+    });
+}
+
+function publishHealth() {
+    if (clients.size === 0) return;
+    publish('health', { type: 'health', ...getHealthStatus() });
+}
+
+// API Security Middleware
+// API_KEY only seeds an empty key store, as an enterprise key. DEMO_API_KEY is kept in the
+// store on the demo tier whenever it is set. With neither, create keys with /api/admin/keys.
+const API_KEY = process.env.API_KEY || null;
+const API_KEY_STORE_FILE = process.env.API_KEY_STORE_FILE || path.join(DATA_DIR, 'keys', 'api-keys.json');
+
+// Admin routes additionally require ADMIN_API_KEY; they are disabled when it is unset
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+// Also used for the WebSocket handshake (not created during replays)
+const apiKeys = !REPLAY_MODE ?
+    createKeyStore({
+        filePath: API_KEY_STORE_FILE,
+        adminKey: ADMIN_API_KEY,
+        seedKey: API_KEY,
+        seedTier: 'enterprise',
+        demoKey: DEMO_API_KEY
+    }) :
+    null;
+if (apiKeys && apiKeys.listKeys().length === 0) {
+    console.log('🔑 No API keys yet: set API_KEY or DEMO_API_KEY, or create keys with /api/admin/keys');
+}
+
+const authenticateApiKey = (req, res, next) => {
+    // req.path is relative to mount point '/api'; versioned routes share scopes with their aliases
+    const apiPath = req.path.startsWith(`/${API_VERSION}/`) ? req.path.slice(API_VERSION.length + 1) : req.path;
+    
+    // Skip auth for health check and the API spec
+    if (apiPath === '/health' || apiPath === '/openapi.json') return next();
+    
+    const identity = apiKeys.authenticate(req.headers['x-api-key'] || req.query.api_key);
+    if (!identity) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized: Invalid or missing API key'
+        });
+    }
+    
+    const now = Date.now();
+    const scope = getRouteScope(apiPath);
+    const rateLimit = apiKeys.consumeRateLimit(identity, now);
+    if (rateLimit.limit !== null) {
+        res.set('X-RateLimit-Limit', String(rateLimit.limit));
+        res.set('X-RateLimit-Remaining', String(Math.max(rateLimit.remaining, 0)));
+        res.set('X-RateLimit-Reset', String(Math.ceil(rateLimit.resetAt / 1000)));
+    }
+    if (!rateLimit.allowed) {
+        apiKeys.recordUsage(identity, scope, 'rate_limited', now);
+        res.set('Retry-After', String(Math.ceil((rateLimit.resetAt - now) / 1000)));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit exceeded: ${rateLimit.limit} requests per minute`
+        });
+    }
+    if (scope && !identity.scopes.has(scope)) {
+        apiKeys.recordUsage(identity, scope, 'forbidden', now);
+        return res.status(403).json({
+            success: false,
+            error: `Forbidden: the ${identity.tier} tier does not include ${scope}`
+        });
+    }
+    
+    apiKeys.recordUsage(identity, scope, 'allowed', now);
+    req.apiKey = identity;
+    next();
+};
+
+// Apply security to API routes, after the v1 envelope so its errors are wrapped too
+app.use(`/api/${API_VERSION}`, envelopeResponses);
+app.use('/api', authenticateApiKey);
+
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ success: false, error: 'Admin API disabled: ADMIN_API_KEY is not configured' });
+    }
+    if (!isSameKey(req.headers['x-admin-key'], ADMIN_API_KEY)) {
+        return res.status(403).json({ success: false, error: 'Forbidden: Invalid or missing admin key' });
+    }
+    next();
+};
+
+// Coin universe management
+function broadcastCoinConfig() {
+    broadcastToClients({
+        type: 'coin_config',
+        coinConfig: COINS,
+        assetClasses: groupByAssetClass(coinProducts),
+        timestamp: Date.now()
+    });
+}
+
+function sendToFeeds(buildMessages) {
+    EXCHANGE_FEEDS.forEach(adapter => {
+        if (!isFeedConnected(adapter.name)) return; // Reconnects subscribe to the current coin list
+        buildMessages(adapter).forEach(message => {
+            feedConnections[adapter.name].ws.send(JSON.stringify(message));
+        });
+    });
+}
+
+function addCoin(product) {
+    resolvedParameters = {};
+    coinProducts.push(product);
+    const seriesIds = getSeriesIds(product.id);
+    COINS.push(...seriesIds);
+    seriesIds.forEach(initializeCoin);
+    
+    saveCoinConfig(COIN_CONFIG_FILE, coinProducts);
+    sendToFeeds(adapter => adapter.subscribeMessages([product.id]));
+    grangerCache.clear();
+    broadcastCoinConfig();
+    console.log(`➕ Now tracking ${product.id} (${product.assetClass})`);
+}
+
+function removeCoin(productId) {
+    resolvedParameters = {};
+    coinProducts.splice(coinProducts.findIndex(product => product.id === productId), 1);
+    getSeriesIds(productId).forEach(removeSeries);
+    pairDetails.retainCoins(COINS);
+    
+    saveCoinConfig(COIN_CONFIG_FILE, coinProducts);
+    sendToFeeds(adapter => adapter.unsubscribeMessages([productId]));
+    grangerCache.clear();
+    broadcastCoinConfig();
+    console.log(`➖ Stopped tracking ${productId}`);
+}
+
+function removeSeries(coin) {
+    COINS.splice(COINS.indexOf(coin), 1);
+    
+    delete marketData.prices[coin];
+    delete pendingUpdates[coin];
+    if (marketFactor) marketFactor.removeCoin(coin);
+    signalEngine.removeCoin(coin, clock.now()).forEach(signal => {
+        publish('signals', { type: 'signal_result', signal: signal, accuracy: signalEngine.getAccuracy() }, signal, { firehose: true });
+    });
+    removeCalibrationCoin(marketData.calibration, coin);
+    
+    tracks.forEach(track => {
+        const data = track.data;
+        delete data.priceHistory[coin];
+        delete track.windowCooldowns[coin];
+        delete track.volatilityCache[coin];
+        delete track.controlWindows[coin];
+        track.candles.removeCoin(coin);
+        removeCascadeCoin(data.cascades, coin);
+        delete data.directionCounts[coin];
+        delete data.causalityMatrix[coin];
+        Object.values(data.causalityMatrix).forEach(row => { delete row[coin]; });
+        
+        // Close the removed coin's open events now; others just stop waiting for it
+        data.leaderEvents = data.leaderEvents.filter(event => {
+            if (event.leader !== coin) return true;
+            closeLeaderEvent(event, 'coin_removed');
+            return false;
+        });
+    });
+}
+
+// REST API Endpoints, declared through the registry so /api/openapi.json documents them.
+// Each is served under /api/v1 and, deprecated, under its unversioned path (see openapi.js).
+const api = createApiRegistry(app, { getScope: getRouteScope });
+const COIN_PARAM = { type: 'string', example: 'BTC-USD' };
+const LEADER_PARAM = { type: 'string', example: 'BTC-USD' };
+const FOLLOWER_PARAM = { type: 'string', example: 'ETH-USD' };
+const TIME_PARAM = { type: 'string', description: 'Epoch milliseconds or ISO date' };
+const CURSOR_PARAM = { type: 'string', description: 'nextCursor of the previous page' };
+
+function invalidCursorResponse(res) {
+    return res.status(400).json({ success: false, error: 'Invalid cursor' });
+}
+
+api.get('/api/market/prices', {
+    tag: 'market',
+    summary: 'Latest price of every tracked coin',
+    response: object({ timestamp: { type: 'integer' }, prices: mapOf(ref('Price')), statistics: ref('Statistics') })
+}, (req, res) => {
+    res.json({
+        success: true,
+        timestamp: Date.now(),
+        prices: marketData.prices,
+        statistics: marketData.statistics
+    });
+});
+
+api.get('/api/market/history/:coin', {
+    tag: 'market',
+    summary: 'Recent ticks of one coin',
+    description: 'The first page holds the latest ticks and nextCursor pages back in time; ticks within a page are oldest first',
+    params: { coin: COIN_PARAM },
+    query: {
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        coin: { type: 'string' },
+        history: arrayOf(ref('Tick')),
+        nextCursor: { type: 'string', nullable: true }
+    }),
+    errors: [400, 404]
+}, (req, res) => {
+    const coin = req.params.coin;
+    if (!marketData.priceHistory[coin]) {
+        return res.status(404).json({ success: false, error: 'Coin not found' });
+    }
+    
+    const page = paginate(marketData.priceHistory[coin].slice().reverse(), req.queryValues);
+    if (!page) return invalidCursorResponse(res);
+    res.json({
+        success: true,
+        coin: coin,
+        history: page.items.reverse(), // { time, price, size }
+        nextCursor: page.nextCursor
+    });
+});
+
+function parseTimeParam(value) {
+    if (value === undefined) return undefined;
+    const numeric = Number(value);
+    const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+api.get('/api/market/candles/:coin', {
+    tag: 'market',
+    summary: 'OHLCV candles for one coin',
+    params: { coin: COIN_PARAM },
+    query: {
+        interval: { type: 'string', enum: Object.keys(INTERVALS), default: '1m' },
+        from: TIME_PARAM,
+        to: TIME_PARAM
+    },
+    response: object({
+        coin: { type: 'string' },
+        interval: { type: 'string' },
+        intervalMs: { type: 'integer' },
+        candles: arrayOf(ref('Candle')),
+        count: { type: 'integer' }
+    }),
+    errors: [400, 404]
+}, (req, res) => {
+    const coin = req.params.coin;
+    if (!marketData.priceHistory[coin]) {
+        return res.status(404).json({ success: false, error: 'Coin not found' });
+    }
+    
+    const interval = req.queryValues.interval;
+    const from = parseTimeParam(req.queryValues.from);
+    const to = parseTimeParam(req.queryValues.to);
+    if (from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+    
+    const bars = candles.getCandles(coin, interval, { from, to });
+    res.json({
+        success: true,
+        coin: coin,
+        interval: interval,
+        intervalMs: INTERVALS[interval].ms,
+        candles: bars,
+        count: bars.length
+    });
+});
+
+// `window` is a key of time-buckets.js WINDOWS, or 'all' for all-time stats; leaving out
+// `regime` means all regimes
+const MATRIX_QUERY = {
+    window: { type: 'string', enum: ['all', ...Object.keys(WINDOWS)], default: 'all' },
+    regime: {
+        type: 'string',
+        enum: [...REGIMES, 'unknown'],
+        description: 'Only count leader events from this market regime (window=all only)'
+    }
+};
+
+// Regime stats are all-time, so they can't be combined with a window
+function invalidRegimeResponse(res) {
+    return res.status(400).json({ success: false, error: 'regime can only be combined with window=all' });
+}
+
+// Per-pair stats for a window: the pair summary for 'all', bucket sums otherwise, or
+// the counts for one regime. `data` is a track's store: marketData or marketData.adjusted.
+function getMatrixStats(windowKey, data = marketData, regime) {
+    const now = clock.now();
+    const stats = {};
+    
+    Object.keys(data.causalityMatrix).forEach(leader => {
+        stats[leader] = {};
+        Object.keys(data.causalityMatrix[leader]).forEach(follower => {
+            const rel = data.causalityMatrix[leader][follower];
+            if (regime) {
+                stats[leader][follower] = getRegimeStats(rel, regime);
+            } else {
+                stats[leader][follower] = windowKey === 'all' ?
+                    summarizePair(rel) :
+                    getWindowStats(rel.buckets, windowKey, now);
+            }
+        });
+    });
+    
+    return stats;
+}
+
+function getPairSignificance(matrixStats = marketData.causalityMatrix, data = marketData) {
+    return computePairSignificance(matrixStats, data.directionCounts, SIGNIFICANCE_ALPHA);
+}
+
+function buildSimplifiedMatrix(windowKey = 'all', data = marketData, regime) {
+    const simplifiedMatrix = {};
+    const matrixStats = getMatrixStats(windowKey, data, regime);
+    const significance = getPairSignificance(matrixStats, data);
+    
+    Object.keys(matrixStats).forEach(leader => {
+        simplifiedMatrix[leader] = {};
+        Object.keys(matrixStats[leader]).forEach(follower => {
+            const summary = matrixStats[leader][follower];
+            if (summary.successfulFollows > 0) {
                 simplifiedMatrix[leader][follower] = {
-                    followRate: rel.followRate,
-                    avgLag: rel.avgLag,
-                    avgMagnitude: rel.avgMagnitude,
-                    sampleSize: rel.lagTimes.length
+                    followRate: summary.followRate,
+                    recentFollowRate: summary.recentFollowRate,
+                    avgLag: summary.avgLag,
+                    lagStdDev: summary.lagStdDev,
+                    medianLag: summary.medianLag,
+                    p90Lag: summary.p90Lag,
+                    avgMagnitude: summary.avgMagnitude,
+                    sampleSize: summary.sampleSize,
+                    ...significance[leader][follower]
                 };
             }
         });
     });
     
+    return simplifiedMatrix;
+}
+
+api.get('/api/causality/matrix', {
+    tag: 'causality',
+    summary: 'Leader-follower matrix of every pair with at least one follow',
+    query: MATRIX_QUERY,
+    response: object({
+        window: { type: 'string' },
+        regime: { type: 'string', nullable: true },
+        matrix: mapOf(mapOf(ref('MatrixCell'))),
+        adjustedMatrix: { ...mapOf(mapOf(ref('MatrixCell'))), nullable: true, description: 'null unless MARKET_FACTOR is set' },
+        marketFactor: { type: 'object', nullable: true },
+        marketRegime: ref('RegimeStatus'),
+        significanceAlpha: { type: 'number' },
+        leaderEvents: arrayOf(ref('LeaderEvent'))
+    }),
+    errors: [400]
+}, (req, res) => {
+    const { window: windowKey, regime } = req.queryValues;
+    if (regime && windowKey !== 'all') return invalidRegimeResponse(res);
+    
     res.json({
         success: true,
-        matrix: simplifiedMatrix,
+        window: windowKey,
+        regime: regime || null,
+        matrix: buildSimplifiedMatrix(windowKey, marketData, regime),
+        // Same pairs with the market factor removed; null unless MARKET_FACTOR is set
+        adjustedMatrix: adjustedTrack ? buildSimplifiedMatrix(windowKey, marketData.adjusted, regime) : null,
+        marketFactor: marketFactor ? marketFactor.getStatus() : null,
+        marketRegime: regimeClassifier.getStatus(),
+        significanceAlpha: SIGNIFICANCE_ALPHA,
         leaderEvents: marketData.leaderEvents
     });
 });
 
-app.get('/api/causality/best-pairs', (req, res) => {
-    const minSampleSize = parseInt(req.query.minSamples) || 10;
+const BEST_PAIR_SORTS = ['followRate', 'confidence', 'avgLag', 'avgMagnitude', 'sampleSize'];
+
+api.get('/api/causality/best-pairs', {
+    tag: 'causality',
+    summary: 'Pairs following more than 60% of the time, by follow rate unless sorted otherwise',
+    query: {
+        ...MATRIX_QUERY,
+        leader: { type: 'string' },
+        follower: { type: 'string' },
+        minSamples: { type: 'integer', minimum: 1, default: 10, description: 'Minimum resolved leader events for the pair' },
+        maxLag: { type: 'number', minimum: 0, description: 'Maximum average lag in ms' },
+        minMagnitude: { type: 'number', minimum: 0, description: 'Minimum average follower/leader move ratio' },
+        significantOnly: { type: 'boolean', default: false, description: 'Only pairs significant after FDR correction' },
+        sort: { type: 'string', enum: BEST_PAIR_SORTS, default: 'followRate' },
+        order: { type: 'string', enum: ['desc', 'asc'], default: 'desc' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 20 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        window: { type: 'string' },
+        regime: { type: 'string', nullable: true },
+        pairs: arrayOf(ref('BestPair')),
+        totalPairsAnalyzed: { type: 'integer', description: 'Pairs matching the filters, across all pages' },
+        nextCursor: { type: 'string', nullable: true },
+        significanceAlpha: { type: 'number' }
+    }),
+    errors: [400]
+}, (req, res) => {
+    const { window: windowKey, regime, minSamples: minSampleSize, maxLag, minMagnitude, significantOnly, sort, order } = req.queryValues;
+    const { leader: leaderFilter, follower: followerFilter } = req.queryValues;
+    if (regime && windowKey !== 'all') return invalidRegimeResponse(res);
+    
+    const matrixStats = getMatrixStats(windowKey, marketData, regime);
+    const significance = getPairSignificance(matrixStats);
     const pairs = [];
     
-    Object.keys(marketData.causalityMatrix).forEach(leader => {
-        Object.keys(marketData.causalityMatrix[leader]).forEach(follower => {
-            const rel = marketData.causalityMatrix[leader][follower];
+    Object.keys(matrixStats).forEach(leader => {
+        Object.keys(matrixStats[leader]).forEach(follower => {
+            if ((leaderFilter && leader !== leaderFilter) || (followerFilter && follower !== followerFilter)) return;
+            const rel = matrixStats[leader][follower];
             const totalEvents = rel.successfulFollows + rel.missedFollows;
             
             if (totalEvents >= minSampleSize && rel.followRate > 0.6) {
+                const test = significance[leader][follower];
+                if (significantOnly && !test.significant) return;
+                if (maxLag !== undefined && rel.avgLag > maxLag) return;
+                if (minMagnitude !== undefined && rel.avgMagnitude < minMagnitude) return;
+                
                 pairs.push({
                     leader: leader,
                     follower: follower,
                     followRate: rel.followRate,
+                    // Same estimate signals are issued with; see /api/signals/performance for how well it holds up
+                    confidence: getConfidence(rel.successfulFollows, rel.missedFollows),
                     avgLag: rel.avgLag,
                     avgMagnitude: rel.avgMagnitude,
-                    sampleSize: rel.lagTimes.length,
+                    medianLag: rel.medianLag,
+                    recentFollowRate: rel.recentFollowRate,
+                    sampleSize: rel.sampleSize,
                     successfulFollows: rel.successfulFollows,
-                    missedFollows: rel.missedFollows
+                    missedFollows: rel.missedFollows,
+                    ...test
                 });
             }
         });
     });
     
-    // Sort by follow rate
-    pairs.sort((a, b) => b.followRate - a.followRate);
+    const direction = order === 'asc' ? 1 : -1;
+    pairs.sort((a, b) => (a[sort] - b[sort]) * direction);
+    const page = paginate(pairs, req.queryValues);
+    if (!page) return invalidCursorResponse(res);
+    
+    res.json({
+        success: true,
+        window: windowKey,
+        regime: regime || null,
+        pairs: page.items,
+        totalPairsAnalyzed: pairs.length,
+        nextCursor: page.nextCursor,
+        significanceAlpha: SIGNIFICANCE_ALPHA
+    });
+});
+
+api.get('/api/causality/pair/:leader/:follower', {
+    tag: 'causality',
+    summary: 'All-time stats of one pair, with lag and magnitude histograms',
+    params: { leader: LEADER_PARAM, follower: FOLLOWER_PARAM },
+    response: object({
+        leader: { type: 'string' },
+        follower: { type: 'string' },
+        stats: ref('PairStats'),
+        halfLives: { type: 'object', properties: { lagMs: { type: 'number' }, followRateMs: { type: 'number' } } }
+    }),
+    errors: [404]
+}, (req, res) => {
+    const { leader, follower } = req.params;
+    const rel = marketData.causalityMatrix[leader] && marketData.causalityMatrix[leader][follower];
+    if (!rel) {
+        return res.status(404).json({ success: false, error: 'Pair not found' });
+    }
     
+    const significance = getPairSignificance();
     res.json({
         success: true,
-        pairs: pairs.slice(0, 20), // Top 20
-        totalPairsAnalyzed: pairs.length
+        leader: leader,
+        follower: follower,
+        stats: {
+            ...summarizePair(rel, { includeHistograms: true }),
+            ...(significance[leader] && significance[leader][follower])
+        },
+        halfLives: {
+            lagMs: PAIR_STATS_CONFIG.lagHalfLifeMs,
+            followRateMs: PAIR_STATS_CONFIG.followRateHalfLifeMs
+        }
     });
 });
 
-app.get('/api/export/csv', (req, res) => {
+api.get('/api/causality/pair/:leader/:follower/timeseries', {
+    tag: 'causality',
+    summary: 'Follow rate and lag of one pair per time bucket',
+    params: { leader: LEADER_PARAM, follower: FOLLOWER_PARAM },
+    query: { window: { type: 'string', enum: Object.keys(WINDOWS), default: '24h' } },
+    response: object({
+        leader: { type: 'string' },
+        follower: { type: 'string' },
+        window: { type: 'string' },
+        buckets: arrayOf(ref('TimeseriesBucket'))
+    }),
+    errors: [400, 404]
+}, (req, res) => {
+    const { leader, follower } = req.params;
+    const rel = marketData.causalityMatrix[leader] && marketData.causalityMatrix[leader][follower];
+    if (!rel) {
+        return res.status(404).json({ success: false, error: 'Pair not found' });
+    }
+    
+    const windowKey = req.queryValues.window;
+    
+    res.json({
+        success: true,
+        leader: leader,
+        follower: follower,
+        window: windowKey,
+        buckets: getTimeseries(rel.buckets, windowKey, clock.now())
+    });
+});
+
+// Granger causality / transfer entropy on resampled returns (cross-check for the event matrix)
+const GRANGER_RESOLUTIONS = { '1s': 1000, '5s': 5000, '15s': 15000, '1m': 60000 }; // Must be candle intervals
+const GRANGER_CACHE_TTL = 15000; // Estimation over all pairs is expensive; reuse recent results
+const grangerCache = new Map();
+const causalityWorker = createCausalityWorker();
+
+// Returns an error message, or null when the request is within the key tier's granger caps
+function checkGrangerLimits(limits, tier, { barCount, lags, includeTransferEntropy }) {
+    if (barCount > limits.maxBars) return `The ${tier} tier allows at most ${limits.maxBars} bars`;
+    if (lags.length > limits.maxLags) return `The ${tier} tier allows at most ${limits.maxLags} lags`;
+    if (Math.max(...lags) > limits.maxLag) return `The ${tier} tier allows lags up to ${limits.maxLag}`;
+    if (includeTransferEntropy && !limits.transferEntropy) return `The ${tier} tier does not include transfer entropy`;
+    return null;
+}
+
+api.get('/api/causality/cascades', {
+    tag: 'causality',
+    summary: 'Most recurring leader → follower chains',
+    query: {
+        minHits: { type: 'integer', minimum: 1, default: 1 },
+        coin: { type: 'string', description: 'Only chains through this coin' },
+        limit: { type: 'integer', minimum: 1, maximum: 200, default: 20 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        cascades: arrayOf(ref('Cascade')),
+        totalPaths: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        activeChains: { type: 'integer' }
+    }),
+    errors: [400, 404]
+}, (req, res) => {
+    const { minHits, coin } = req.queryValues;
+    if (coin && !COINS.includes(coin)) {
+        return res.status(404).json({ success: false, error: 'Coin not found' });
+    }
+    
+    const result = getTopCascades(marketData.cascades, { limit: Infinity, minHits, coin });
+    const page = paginate(result.cascades, req.queryValues);
+    if (!page) return invalidCursorResponse(res);
+    res.json({
+        success: true,
+        cascades: page.items,
+        totalPaths: result.totalPaths,
+        nextCursor: page.nextCursor,
+        activeChains: marketData.leaderEvents.filter(event => event.cascade).length
+    });
+});
+
+api.get('/api/causality/granger', {
+    tag: 'causality',
+    summary: 'Granger causality (and optionally transfer entropy) on resampled returns of every pair',
+    query: {
+        resolution: { type: 'string', enum: Object.keys(GRANGER_RESOLUTIONS), default: '5s' },
+        lags: { type: 'string', default: '1,2,3,5', description: 'Comma-separated lag orders in bars, 1 to 20; the key\'s tier caps how many and how large' },
+        bars: { type: 'integer', minimum: 50, maximum: 5000, default: 720, description: 'Capped by the key\'s tier' },
+        te: { type: 'boolean', default: false, description: 'Also estimate transfer entropy (not on the demo tier)' },
+        limit: { type: 'integer', minimum: 1, default: 50 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        resolution: { type: 'string' },
+        lags: arrayOf({ type: 'integer' }),
+        bars: { type: 'integer' },
+        significanceAlpha: { type: 'number' },
+        pairs: arrayOf(ref('GrangerPair')),
+        totalPairsTested: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true }
+    }),
+    errors: [400, 500, 503]
+}, async (req, res) => {
+    const { resolution, bars: barCount, te: includeTransferEntropy } = req.queryValues;
+    const resolutionMs = GRANGER_RESOLUTIONS[resolution];
+    const lags = [...new Set(req.queryValues.lags
+        .split(',')
+        .map(v => parseInt(v))
+        .filter(v => v >= 1 && v <= 20))]
+        .sort((a, b) => a - b);
+    if (lags.length === 0) {
+        return res.status(400).json({ success: false, error: 'lags must be integers between 1 and 20' });
+    }
+    const limitError = checkGrangerLimits(req.apiKey.granger, req.apiKey.tier, { barCount, lags, includeTransferEntropy });
+    if (limitError) {
+        return res.status(403).json({ success: false, error: limitError });
+    }
+    
+    // The coin list is part of the key, so results computed before a coin change never match
+    const cacheKey = [resolution, lags.join('-'), barCount, includeTransferEntropy, COINS.join(',')].join('|');
+    const cached = grangerCache.get(cacheKey);
+    const now = clock.now();
+    
+    let results;
+    if (cached && now - cached.computedAt < GRANGER_CACHE_TTL) {
+        results = cached.results;
+    } else {
+        const job = causalityWorker.run(cacheKey, () => {
+            // Bar closes reach back further than the raw tick history
+            const histories = {};
+            COINS.forEach(coin => {
+                histories[coin] = candles.getCandles(coin, resolution).map(bar => ({ time: bar.time, price: bar.close }));
+            });
+            return { histories, coins: COINS, resolutionMs, barCount, lags, includeTransferEntropy, bins: 3, now };
+        });
+        if (!job) {
+            res.set('Retry-After', String(GRANGER_CACHE_TTL / 1000));
+            return res.status(503).json({ success: false, error: 'Causality estimation is busy, try again shortly' });
+        }
+        
+        try {
+            results = await job;
+        } catch (error) {
+            console.error('Error estimating Granger causality:', error);
+            return res.status(500).json({ success: false, error: 'Failed to estimate Granger causality' });
+        }
+        grangerCache.forEach((entry, key) => {
+            if (clock.now() - entry.computedAt >= GRANGER_CACHE_TTL) grangerCache.delete(key);
+        });
+        grangerCache.set(cacheKey, { computedAt: now, results });
+    }
+    
+    const page = paginate(results, req.queryValues);
+    if (!page) return invalidCursorResponse(res);
+    res.json({
+        success: true,
+        resolution: resolution,
+        lags: lags,
+        bars: barCount,
+        significanceAlpha: SIGNIFICANCE_ALPHA,
+        pairs: page.items.map(r => {
+            // A coin removed while the estimate ran has no event figures left
+            const rel = (marketData.causalityMatrix[r.leader] || {})[r.follower] || {};
+            return {
+                ...r,
+                significant: r.qValue < SIGNIFICANCE_ALPHA,
+                // Event-based figures for side-by-side comparison
+                eventFollowRate: rel.followRate,
+                eventAvgLag: rel.avgLag
+            };
+        }),
+        totalPairsTested: results.length,
+        nextCursor: page.nextCursor
+    });
+});
+
+api.get('/api/export/csv', {
+    tag: 'export',
+    summary: 'All-time causality matrix as CSV, one row per pair with resolved events',
+    contentType: 'text/csv',
+    response: {
+        type: 'string',
+        example: 'Leader,Follower,Successful_Follows,Missed_Follows,Follow_Rate,Avg_Lag_MS,Avg_Magnitude_Ratio,Sample_Size\n' +
+            'BTC-USD,ETH-USD,41,9,0.820,3200,0.910,41\n'
+    }
+}, (req, res) => {
     // Export causality matrix as CSV
     let csv = 'Leader,Follower,Successful_Follows,Missed_Follows,Follow_Rate,Avg_Lag_MS,Avg_Magnitude_Ratio,Sample_Size\n';
     
@@ -521,7 +1993,7 @@ app.get('/api/export/csv', (req, res) => {
             const total = rel.successfulFollows + rel.missedFollows;
             
             if (total > 0) {
-                csv += `${leader},${follower},${rel.successfulFollows},${rel.missedFollows},${rel.followRate.toFixed(3)},${rel.avgLag.toFixed(0)},${rel.avgMagnitude.toFixed(3)},${rel.lagTimes.length}\n`;
+                csv += `${leader},${follower},${rel.successfulFollows},${rel.missedFollows},${rel.followRate.toFixed(3)},${rel.avgLag.toFixed(0)},${rel.avgMagnitude.toFixed(3)},${rel.sampleSize}\n`;
             }
         });
     });
@@ -531,43 +2003,539 @@ app.get('/api/export/csv', (req, res) => {
     res.send(csv);
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+api.get('/api/feeds/latency', {
+    tag: 'system',
+    summary: 'Exchange-to-server latency of each feed',
+    response: object({
+        timestamp: { type: 'integer' },
+        lagTimeSource: { type: 'string' },
+        feeds: mapOf(ref('FeedLatency'))
+    })
+}, (req, res) => {
+    res.json({
+        success: true,
+        timestamp: Date.now(),
+        lagTimeSource: LAG_TIME_SOURCE,
+        feeds: feedLatency.getStats()
+    });
+});
+
+api.get('/api/events', {
+    tag: 'events',
+    summary: 'Stored leader events, newest first, with cursor pagination',
+    query: {
+        from: TIME_PARAM,
+        to: TIME_PARAM,
+        leader: { type: 'string' },
+        follower: { type: 'string', description: 'Only events this coin followed' },
+        direction: { type: 'string', enum: ['pump', 'dump'] },
+        window: { type: 'string', description: 'Detection window, e.g. 1m' },
+        minMove: { type: 'number', description: 'Minimum absolute leader move, in percent' },
+        track: { type: 'string', enum: tracks.map(t => t.name), default: 'raw' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        events: arrayOf(ref('LeaderEvent')),
+        count: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true }
+    }),
+    errors: [400, 500, 503]
+}, async (req, res) => {
+    if (!eventStore) {
+        return res.status(503).json({ success: false, error: 'Event store is disabled' });
+    }
+    
+    const { leader, follower, direction, window, minMove, track, limit, cursor } = req.queryValues;
+    const from = parseTimeParam(req.queryValues.from);
+    const to = parseTimeParam(req.queryValues.to);
+    if (from === null || to === null) {
+        return res.status(400).json({ success: false, error: 'from/to must be epoch milliseconds or ISO dates' });
+    }
+    
+    try {
+        const result = await eventStore.query(
+            { leader, follower, direction, window, track, from, to, minMove },
+            { limit, cursor }
+        );
+        res.json({
+            success: true,
+            events: result.events,
+            count: result.events.length,
+            nextCursor: result.nextCursor
+        });
+    } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+        console.error('Error querying events:', error);
+        res.status(500).json({ success: false, error: 'Failed to query events' });
+    }
+});
+
+api.get('/api/signals', {
+    tag: 'signals',
+    summary: 'Issued signals, newest first, with the live hit rate',
+    query: {
+        status: { type: 'string', enum: SIGNAL_STATUSES },
+        leader: { type: 'string' },
+        follower: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        signals: arrayOf(ref('Signal')),
+        count: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        accuracy: ref('SignalAccuracy')
+    }),
+    errors: [400]
+}, (req, res) => {
+    const { status, leader, follower } = req.queryValues;
+    const page = paginate(signalEngine.getSignals({ status, leader, follower, limit: Infinity }), req.queryValues);
+    if (!page) return invalidCursorResponse(res);
+    res.json({
+        success: true,
+        signals: page.items,
+        count: page.items.length,
+        nextCursor: page.nextCursor,
+        accuracy: signalEngine.getAccuracy()
+    });
+});
+
+api.get('/api/signals/performance', {
+    tag: 'signals',
+    summary: 'Calibration of prediction confidence: Brier score and reliability curve, overall and per pair',
+    query: {
+        leader: { type: 'string' },
+        follower: { type: 'string' },
+        minPredictions: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 500, default: 50, description: 'Pairs per page' },
+        cursor: CURSOR_PARAM
+    },
+    response: object({
+        overall: ref('CalibrationScore'),
+        signals: ref('CalibrationScore'),
+        reliability: arrayOf(ref('ReliabilityPoint')),
+        pairs: arrayOf(ref('PairCalibration')),
+        totalPairs: { type: 'integer' },
+        nextCursor: { type: 'string', nullable: true },
+        accuracy: ref('SignalAccuracy')
+    }),
+    errors: [400, 404]
+}, (req, res) => {
+    const { leader, follower, minPredictions } = req.queryValues;
+    if ((leader && !COINS.includes(leader)) || (follower && !COINS.includes(follower))) {
+        return res.status(404).json({ success: false, error: 'Coin not found' });
+    }
+    
+    const report = getCalibrationReport(marketData.calibration, { leader, follower, minPredictions, limit: Infinity });
+    const page = paginate(report.pairs, req.queryValues);
+    if (!page) return invalidCursorResponse(res);
     res.json({
+        success: true,
+        ...report,
+        pairs: page.items,
+        nextCursor: page.nextCursor,
+        accuracy: signalEngine.getAccuracy()
+    });
+});
+
+api.get('/api/config/detection', {
+    tag: 'system',
+    summary: 'Detection parameters: the stored config and what each coin resolves to',
+    response: object({
+        parameterSetId: { type: 'string' },
+        config: ref('DetectionConfig'),
+        parameters: { type: 'object', description: 'Limits and description of each parameter' },
+        resolved: mapOf(ref('DetectionParameters'))
+    })
+}, (req, res) => {
+    res.json({
+        success: true,
+        parameterSetId: parameterSetId,
+        config: detectionConfig,
+        parameters: PARAMETERS,
+        resolved: COINS.reduce((acc, coin) => {
+            acc[coin] = getDetectionParameters(coin);
+            return acc;
+        }, {})
+    });
+});
+
+api.put('/api/config/detection', {
+    tag: 'admin',
+    summary: 'Replace the detection parameters',
+    auth: 'admin',
+    body: ref('DetectionConfig'),
+    response: object({ parameterSetId: { type: 'string' }, config: ref('DetectionConfig') }),
+    errors: [400, 500]
+}, requireAdmin, (req, res) => {
+    const errors = validateDetectionConfig(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid detection config', details: errors });
+    }
+    
+    const nextConfig = normalizeConfig(req.body);
+    try {
+        saveDetectionConfig(DETECTION_CONFIG_FILE, nextConfig);
+    } catch (err) {
+        console.error('Error saving detection config:', err);
+        return res.status(500).json({ success: false, error: 'Failed to save detection config' });
+    }
+    
+    const previousId = parameterSetId;
+    detectionConfig = nextConfig;
+    parameterSetId = getParameterSetId(nextConfig);
+    resolvedParameters = {};
+    console.log(`🎛️  Detection parameters updated: ${previousId} → ${parameterSetId}`);
+    
+    res.json({ success: true, parameterSetId: parameterSetId, config: detectionConfig });
+});
+
+api.get('/api/coins', {
+    tag: 'system',
+    summary: 'Tracked coins and their asset classes',
+    response: object({
+        coins: arrayOf(ref('Product')),
+        assetClasses: mapOf(arrayOf({ type: 'string' })),
+        series: { ...arrayOf({ type: 'string' }), description: 'Price series per coin and feed, e.g. BTC-USD and binance:BTC-USD' }
+    })
+}, (req, res) => {
+    res.json({
+        success: true,
+        coins: coinProducts,
+        assetClasses: groupByAssetClass(coinProducts),
+        series: COINS
+    });
+});
+
+api.post('/api/admin/coins', {
+    tag: 'admin',
+    summary: 'Start tracking a coin',
+    auth: 'admin',
+    body: {
+        type: 'object',
+        required: ['productId', 'assetClass'],
+        properties: { productId: { type: 'string', example: 'SOL-USD' }, assetClass: { type: 'string', example: 'MAJOR' } }
+    },
+    status: 201,
+    response: object({ coins: arrayOf(ref('Product')) }),
+    errors: [400, 409, 500]
+}, requireAdmin, (req, res) => {
+    const product = {
+        id: req.body && req.body.productId,
+        assetClass: req.body && req.body.assetClass
+    };
+    const error = validateProduct(product);
+    if (error) {
+        return res.status(400).json({ success: false, error: error });
+    }
+    if (coinProducts.some(p => p.id === product.id)) {
+        return res.status(409).json({ success: false, error: `${product.id} is already tracked` });
+    }
+    
+    try {
+        addCoin(product);
+    } catch (err) {
+        console.error('Error adding coin:', err);
+        return res.status(500).json({ success: false, error: 'Failed to add coin' });
+    }
+    res.status(201).json({ success: true, coins: coinProducts });
+});
+
+api.delete('/api/admin/coins/:productId', {
+    tag: 'admin',
+    summary: 'Stop tracking a coin and drop its stats',
+    auth: 'admin',
+    params: { productId: COIN_PARAM },
+    response: object({ coins: arrayOf(ref('Product')) }),
+    errors: [400, 404, 500]
+}, requireAdmin, (req, res) => {
+    const coin = req.params.productId;
+    if (!coinProducts.some(product => product.id === coin)) {
+        return res.status(404).json({ success: false, error: 'Coin not found' });
+    }
+    if (coinProducts.length <= 2) {
+        return res.status(400).json({ success: false, error: 'At least two coins must remain tracked' });
+    }
+    
+    try {
+        removeCoin(coin);
+    } catch (err) {
+        console.error('Error removing coin:', err);
+        return res.status(500).json({ success: false, error: 'Failed to remove coin' });
+    }
+    res.json({ success: true, coins: coinProducts });
+});
+
+// API key management
+const KEY_ID_PARAM = { type: 'string', example: 'key_3f9a1c2b7d4e' };
+
+api.get('/api/admin/keys', {
+    tag: 'admin',
+    summary: 'Every API key, including revoked ones, with usage counters',
+    auth: 'admin',
+    response: object({ keys: arrayOf(ref('ApiKey')), tiers: { type: 'object' } })
+}, requireAdmin, (req, res) => {
+    res.json({ success: true, keys: apiKeys.listKeys(), tiers: TIERS });
+});
+
+api.post('/api/admin/keys', {
+    tag: 'admin',
+    summary: 'Create an API key; the key itself is only returned here',
+    auth: 'admin',
+    body: {
+        type: 'object',
+        required: ['owner', 'tier'],
+        properties: {
+            owner: { type: 'string', maxLength: 100 },
+            tier: { type: 'string', enum: Object.keys(TIERS) },
+            rateLimitPerMinute: { type: 'integer', minimum: 1, description: 'Overrides the tier default' }
+        }
+    },
+    status: 201,
+    response: object({ key: { type: 'string' }, apiKey: ref('ApiKey') }),
+    errors: [400, 500]
+}, requireAdmin, (req, res) => {
+    const error = validateKeyRequest(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, error: error });
+    }
+    
+    try {
+        const { key, record } = apiKeys.createKey(req.body, Date.now());
+        console.log(`🔑 Created ${record.tier} API key ${record.id} for ${record.owner}`);
+        // The plaintext key is only ever returned here and on rotation
+        res.status(201).json({ success: true, key: key, apiKey: record });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ success: false, error: 'Failed to create API key' });
+    }
+});
+
+api.post('/api/admin/keys/:id/rotate', {
+    tag: 'admin',
+    summary: 'Replace a key\'s secret; the old one stops working immediately',
+    auth: 'admin',
+    params: { id: KEY_ID_PARAM },
+    response: object({ key: { type: 'string' }, apiKey: ref('ApiKey') }),
+    errors: [404, 500]
+}, requireAdmin, (req, res) => {
+    let result;
+    try {
+        result = apiKeys.rotateKey(req.params.id, Date.now());
+    } catch (err) {
+        console.error('Error rotating API key:', err);
+        return res.status(500).json({ success: false, error: 'Failed to rotate API key' });
+    }
+    if (!result) {
+        return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+    
+    disconnectKeyClients(req.params.id, 'API key rotated');
+    console.log(`🔑 Rotated API key ${req.params.id}`);
+    res.json({ success: true, key: result.key, apiKey: result.record });
+});
+
+api.delete('/api/admin/keys/:id', {
+    tag: 'admin',
+    summary: 'Revoke a key and disconnect its WebSocket clients',
+    auth: 'admin',
+    params: { id: KEY_ID_PARAM },
+    response: object({ apiKey: ref('ApiKey') }),
+    errors: [404, 500]
+}, requireAdmin, (req, res) => {
+    let record;
+    try {
+        record = apiKeys.revokeKey(req.params.id, Date.now());
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        return res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+    }
+    if (!record) {
+        return res.status(404).json({ success: false, error: 'API key not found or revoked' });
+    }
+    
+    disconnectKeyClients(req.params.id, 'API key revoked');
+    console.log(`🔑 Revoked API key ${req.params.id}`);
+    res.json({ success: true, apiKey: record });
+});
+
+// Health check endpoint
+function getHealthStatus() {
+    return {
         status: 'running',
         uptime: Date.now() - marketData.statistics.startTime,
-        coinsTracked: COINS.length,
+        coinsTracked: coinProducts.length,
         totalTicks: marketData.statistics.totalTicks,
         leaderEvents: marketData.leaderEvents.length,
         connectedClients: clients.size,
-        coinbaseConnected: coinbaseWS && coinbaseWS.readyState === WebSocket.OPEN
-    });
+        coinbaseConnected: isFeedConnected('coinbase'),
+        feeds: EXCHANGE_FEEDS.reduce((acc, adapter) => {
+            acc[adapter.name] = isFeedConnected(adapter.name);
+            return acc;
+        }, {}),
+        lagTimeSource: LAG_TIME_SOURCE,
+        parameterSetId: parameterSetId,
+        feedLatency: feedLatency.getStats(),
+        marketFactor: marketFactor ? marketFactor.getStatus() : null,
+        marketRegime: regimeClassifier.getStatus(),
+        signalAccuracy: signalEngine.getAccuracy(),
+        snapshotRestore: snapshotRestore,
+        tickRecorder: tickRecorder ? tickRecorder.getStatus() : null,
+        eventStore: eventStore ? eventStore.getStatus() : null
+    };
+}
+
+api.get('/api/health', {
+    tag: 'system',
+    summary: 'Status of the backend, its feeds and the detection pipeline',
+    auth: 'none',
+    response: ref('Health')
+}, (req, res) => {
+    res.json(getHealthStatus());
 });
 
-// Start the server
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 CryptoSoup Backend running on port ${PORT}`);
-    console.log(`� Tracking ${COINS.length} coins`);
-    console.log(`🔌 WebSocket server attached to HTTP server`);
-    
-    // Start Coinbase connection with delay
-    console.log('⏳ Waiting 5 seconds before connecting to market data...');
-    setTimeout(() => {
-        connectToCoinbase();
-    }, 5000);
+// Generated from the declarations above; served without a key so docs and clients can fetch it
+api.get('/api/openapi.json', {
+    tag: 'system',
+    summary: 'This API as an OpenAPI 3.0 document',
+    auth: 'none',
+    unversioned: true,
+    response: { type: 'object' }
+}, (req, res) => {
+    res.json(api.getDocument({
+        info: {
+            title: 'AlphaFlow Analytics API',
+            version: packageVersion,
+            description: 'Lead-lag causality metrics and live signals for crypto markets. ' +
+                `Responses are { success, data, error: { code, message } }; unknown query parameters are rejected. ` +
+                `Every path is also served without /${API_VERSION} as a deprecated alias with the old response shapes.`
+        },
+        schemas: SCHEMAS,
+        tags: TAGS
+    }));
 });
 
+app.use(`/api/${API_VERSION}`, (req, res) => {
+    res.status(404).json({ success: false, error: `No endpoint ${req.method} ${req.originalUrl.split('?')[0]}` });
+});
+
+// Replay a recorded tick file through the detection pipeline using the tick timestamps as the clock
+async function runReplay(filePath, outPath) {
+    console.log(`⏪ Replaying ticks from ${filePath}`);
+    
+    const stats = { read: 0, skipped: 0 };
+    let processed = 0;
+    let firstTime = null;
+    // The live intervals, mirrored in simulated time
+    const periodicTasks = [
+        { run: cleanupEvents, intervalMs: 60000, lastRun: null },
+        { run: refreshRegime, intervalMs: REGIME_REFRESH, lastRun: null }
+    ];
+    if (marketFactor) periodicTasks.push({ run: refreshMarketFactor, intervalMs: MARKET_FACTOR_REFRESH, lastRun: null });
+    
+    for await (const tick of readTicks(filePath, stats)) {
+        const tickTime = tick.exchangeTime !== null ? tick.exchangeTime : tick.receiveTime;
+        // Never let the simulated clock run backwards on out-of-order rows
+        clock.simulatedTime = clock.simulatedTime === null ? tickTime : Math.max(clock.simulatedTime, tickTime);
+        if (firstTime === null) firstTime = clock.simulatedTime;
+        
+        if (processTickerUpdate(tick)) processed++;
+        
+        periodicTasks.forEach(task => {
+            if (task.lastRun === null || clock.simulatedTime - task.lastRun >= task.intervalMs) {
+                task.run();
+                task.lastRun = clock.simulatedTime;
+            }
+        });
+    }
+    
+    const result = {
+        replayFile: path.basename(filePath),
+        parameterSetId: parameterSetId,
+        detectionConfig: detectionConfig,
+        ticksRead: stats.read,
+        ticksProcessed: processed,
+        ticksIgnored: stats.read - processed, // Untracked coins or feeds, or bad prices
+        rowsSkipped: stats.skipped, // Malformed rows
+        startTime: firstTime,
+        endTime: clock.simulatedTime,
+        statistics: {
+            totalTicks: marketData.statistics.totalTicks,
+            divergenceEvents: marketData.statistics.divergenceEvents
+        },
+        matrix: buildSimplifiedMatrix(),
+        adjustedMatrix: adjustedTrack ? buildSimplifiedMatrix('all', marketData.adjusted) : null,
+        marketFactor: marketFactor ? marketFactor.getStatus() : null,
+        marketRegime: regimeClassifier.getStatus(),
+        cascades: getTopCascades(marketData.cascades).cascades,
+        signalAccuracy: signalEngine.getAccuracy(),
+        calibration: getCalibrationReport(marketData.calibration, { limit: 20 })
+    };
+    
+    const target = outPath || path.join(DATA_DIR, 'replays', `replay_${path.basename(filePath).replace(/\.[^.]+$/, '')}.json`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, JSON.stringify(result, null, 2));
+    
+    console.log(`✅ Replay finished: ${processed} ticks processed, ${stats.read - processed} ignored, ` +
+        `${stats.skipped} malformed rows skipped, matrix written to ${target}`);
+}
+
+if (REPLAY_MODE) {
+    runReplay(REPLAY_FILE, REPLAY_OUT)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Replay failed:', error);
+            process.exit(1);
+        });
+} else {
+    // Start the server
+    server.listen(PORT, '0.0.0.0', () => {
+        console.log(`🚀 CryptoSoup Backend running on port ${PORT}`);
+        console.log(`� Tracking ${coinProducts.length} coins on ${EXCHANGE_FEEDS.map(adapter => adapter.name).join(', ')}`);
+        console.log(`🔌 WebSocket server attached to HTTP server`);
+    
+        // Start exchange feed connections with delay
+        console.log('⏳ Waiting 5 seconds before connecting to market data...');
+        setTimeout(() => {
+            EXCHANGE_FEEDS.forEach(connectToFeed);
+        }, 5000);
+    });
+}
+
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('Shutting down...');
     saveData(true); // Skip cleanup to prevent timeout
     
-    if (coinbaseWS) {
-        coinbaseWS.close();
-    }
+    // Events still inside their follow window are written as-is so the trail has no gaps
+    tracks.forEach(track => track.data.leaderEvents.forEach(event => {
+        Object.keys(event.referencePrices).forEach(follower => {
+            if (!event.resolutions[follower]) {
+                setResolution(track, event, follower, { outcome: 'unresolved', reason: 'window_truncated' }, clock.now());
+            }
+        });
+        persistLeaderEvent(event, 'shutdown');
+    }));
     
-    wss.close(() => {
-        console.log('WebSocket server closed');
-        process.exit(0);
+    Object.values(feedConnections).forEach(connection => {
+        clearTimeout(connection.reconnectTimeout);
+        if (connection.ws) {
+            connection.ws.removeAllListeners('close');
+            connection.ws.close();
+        }
     });
+    
+    const closeRecorder = tickRecorder ? tickRecorder.close : (callback) => callback();
+    const closeEventStore = eventStore ? eventStore.close : (callback) => callback();
+    closeRecorder(() => closeEventStore(() => {
+        // The server only reports closed once every client connection is gone
+        clients.forEach((client, ws) => ws.terminate());
+        wss.close(() => {
+            console.log('WebSocket server closed');
+            process.exit(0);
+        });
+    }));
 });
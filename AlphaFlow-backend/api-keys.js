@@ -0,0 +1,297 @@
+// api-keys.js
+//
+// API key store, persisted to data/keys/api-keys.json. Keys are only ever stored as
+// SHA-256 hashes; the plaintext is returned once, when a key is created or rotated.
+//
+//   { "keys": [{ id, owner, tier, hash, prefix, rateLimitPerMinute, createdAt,
+//                rotatedAt, revokedAt, lastUsedAt, usage }] }
+//
+// A key's tier decides which REST scopes and WebSocket channels it may use and its
+// default rate limit (requests per minute, in fixed one-minute windows). ADMIN_API_KEY
+// is not stored: it authenticates as an admin identity with every scope and no limit.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CHANNELS } = require('./ws-subscriptions');
+
+const ALL_CHANNELS = Object.keys(CHANNELS);
+
+// REST scopes by path under /api; paths without a scope (e.g. /health) need no scope
+const ROUTE_SCOPES = [
+    { prefix: '/market/', scope: 'market' },
+    { prefix: '/causality/', scope: 'causality' },
+    { prefix: '/signals', scope: 'signals' },
+    { prefix: '/events', scope: 'events' },
+    { prefix: '/export/', scope: 'export' },
+    { prefix: '/feeds/', scope: 'system' },
+    { prefix: '/coins', scope: 'system' },
+    { prefix: '/config/', scope: 'system' }
+];
+const ALL_SCOPES = [...new Set(ROUTE_SCOPES.map(route => route.scope))];
+
+// The pricing page's plans, plus the demo tier of the optional public DEMO_API_KEY.
+// granger caps what one /api/causality/granger request may estimate: bars per series,
+// how many lag orders, the largest lag order and whether transfer entropy is included.
+const TIERS = {
+    demo: {
+        scopes: ['market', 'causality', 'signals', 'system'],
+        channels: ['prices', 'signals', 'health'],
+        rateLimitPerMinute: 120,
+        granger: { maxBars: 720, maxLags: 4, maxLag: 5, transferEntropy: false }
+    },
+    research: {
+        scopes: ['market', 'causality', 'system'],
+        channels: [],
+        rateLimitPerMinute: 60,
+        granger: { maxBars: 2000, maxLags: 5, maxLag: 10, transferEntropy: true }
+    },
+    professional: {
+        scopes: ['market', 'causality', 'signals', 'events', 'export', 'system'],
+        channels: ALL_CHANNELS,
+        rateLimitPerMinute: 600,
+        granger: { maxBars: 5000, maxLags: 8, maxLag: 20, transferEntropy: true }
+    },
+    enterprise: {
+        scopes: ALL_SCOPES,
+        channels: ALL_CHANNELS,
+        rateLimitPerMinute: 6000,
+        granger: { maxBars: 5000, maxLags: 8, maxLag: 20, transferEntropy: true }
+    }
+};
+
+const RATE_WINDOW_MS = 60000;
+const MAX_RATE_LIMIT = 100000;
+
+function getRouteScope(routePath) {
+    const route = ROUTE_SCOPES.find(candidate => routePath.startsWith(candidate.prefix));
+    return route ? route.scope : null;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Compares digests in constant time, so the comparison doesn't leak how much of a secret matched
+function isSameKey(key, secret) {
+    if (typeof key !== 'string' || typeof secret !== 'string') return false;
+    const digest = crypto.createHash('sha256').update(key).digest();
+    return crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(secret).digest());
+}
+
+function generateKey() {
+    return `af_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function emptyUsage() {
+    return { requests: 0, rateLimited: 0, forbidden: 0, wsConnections: 0, byScope: {} };
+}
+
+// Returns an error message, or null when { owner, tier, rateLimitPerMinute? } is valid
+function validateKeyRequest(body) {
+    if (!body || typeof body !== 'object') return 'Body must be a JSON object';
+    if (typeof body.owner !== 'string' || !body.owner.trim() || body.owner.length > 100) {
+        return 'owner must be a non-empty string of at most 100 characters';
+    }
+    if (!TIERS[body.tier]) return `tier must be one of: ${Object.keys(TIERS).join(', ')}`;
+    if (body.rateLimitPerMinute !== undefined &&
+        (!Number.isInteger(body.rateLimitPerMinute) || body.rateLimitPerMinute < 1 || body.rateLimitPerMinute > MAX_RATE_LIMIT)) {
+        return `rateLimitPerMinute must be an integer between 1 and ${MAX_RATE_LIMIT}`;
+    }
+    return null;
+}
+
+// Without the hash; safe to return from admin endpoints
+function describeKey(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, active: record.revokedAt === null };
+}
+
+// options: { filePath, adminKey, seedKey, seedTier, demoKey }. The seed key is only added
+// when the store file doesn't exist yet, so revoking it sticks across restarts. The demo
+// key is added on the demo tier at every start unless it is already active, since the
+// pages are handed it; stop offering it by unsetting it.
+function createKeyStore({ filePath, adminKey, seedKey, seedTier, demoKey }) {
+    let keys = [];
+    let dirty = false;
+    const byHash = new Map();   // hash -> record (active keys only)
+    const rateWindows = {};     // key id -> { start, count }
+
+    function index() {
+        byHash.clear();
+        keys.forEach(record => {
+            if (record.revokedAt === null) byHash.set(record.hash, record);
+        });
+    }
+
+    function save() {
+        if (!dirty) return;
+        const tempFilePath = `${filePath}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempFilePath, JSON.stringify({ keys }, null, 4) + '\n', { mode: 0o600 });
+        fs.renameSync(tempFilePath, filePath);
+        dirty = false;
+    }
+
+    function addKey(key, { owner, tier, rateLimitPerMinute }, now) {
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            owner: owner.trim(),
+            tier: tier,
+            hash: hashKey(key),
+            prefix: key.slice(0, 7),
+            rateLimitPerMinute: rateLimitPerMinute !== undefined ? rateLimitPerMinute : null, // null = tier default
+            createdAt: now,
+            rotatedAt: null,
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: emptyUsage()
+        };
+        keys.push(record);
+        byHash.set(record.hash, record);
+        dirty = true;
+        return record;
+    }
+
+    if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!saved || !Array.isArray(saved.keys)) {
+            throw new Error(`${filePath} must contain a "keys" array`);
+        }
+        keys = saved.keys.filter(record => record && typeof record.hash === 'string' && TIERS[record.tier]);
+        keys.forEach(record => { record.usage = { ...emptyUsage(), ...record.usage }; });
+        index();
+    } else if (seedKey) {
+        addKey(seedKey, { owner: 'default', tier: seedTier }, Date.now());
+        save();
+    }
+    if (demoKey && !byHash.has(hashKey(demoKey))) {
+        addKey(demoKey, { owner: 'demo', tier: 'demo' }, Date.now());
+        save();
+    }
+
+    // Identities are { id, owner, tier, scopes, channels, rateLimitPerMinute, granger } with
+    // scopes and channels as Sets, or null for an unknown or revoked key
+    function authenticate(key) {
+        if (typeof key !== 'string' || !key) return null;
+        if (adminKey && isSameKey(key, adminKey)) {
+            return {
+                id: 'admin',
+                owner: 'admin',
+                tier: 'admin',
+                scopes: new Set(ALL_SCOPES),
+                channels: new Set(ALL_CHANNELS),
+                rateLimitPerMinute: null,
+                granger: TIERS.enterprise.granger
+            };
+        }
+
+        const record = byHash.get(hashKey(key));
+        if (!record) return null;
+        const tier = TIERS[record.tier];
+        return {
+            id: record.id,
+            owner: record.owner,
+            tier: record.tier,
+            scopes: new Set(tier.scopes),
+            channels: new Set(tier.channels),
+            rateLimitPerMinute: record.rateLimitPerMinute || tier.rateLimitPerMinute,
+            granger: tier.granger
+        };
+    }
+
+    // Counts one request against the identity's current window
+    function consumeRateLimit(identity, now) {
+        if (!identity.rateLimitPerMinute) return { allowed: true, limit: null, remaining: null, resetAt: null };
+
+        let window = rateWindows[identity.id];
+        if (!window || now - window.start >= RATE_WINDOW_MS) {
+            window = rateWindows[identity.id] = { start: now, count: 0 };
+        }
+        const allowed = window.count < identity.rateLimitPerMinute;
+        if (allowed) window.count++;
+        return {
+            allowed: allowed,
+            limit: identity.rateLimitPerMinute,
+            remaining: identity.rateLimitPerMinute - window.count,
+            resetAt: window.start + RATE_WINDOW_MS
+        };
+    }
+
+    // outcome: 'allowed', 'rate_limited', 'forbidden' or 'websocket'
+    function recordUsage(identity, scope, outcome, now) {
+        const record = keys.find(candidate => candidate.id === identity.id);
+        if (!record) return; // The admin key isn't stored
+        const usage = record.usage;
+
+        if (outcome === 'rate_limited') usage.rateLimited++;
+        else if (outcome === 'forbidden') usage.forbidden++;
+        else if (outcome === 'websocket') usage.wsConnections++;
+        else {
+            usage.requests++;
+            if (scope) usage.byScope[scope] = (usage.byScope[scope] || 0) + 1;
+        }
+        record.lastUsedAt = now;
+        dirty = true;
+    }
+
+    function createKey(options, now) {
+        const key = generateKey();
+        const record = addKey(key, options, now);
+        save();
+        return { key, record: describeKey(record) };
+    }
+
+    function findActive(id) {
+        return keys.find(record => record.id === id && record.revokedAt === null) || null;
+    }
+
+    // Replaces the secret; the old one stops working immediately
+    function rotateKey(id, now) {
+        const record = findActive(id);
+        if (!record) return null;
+        const key = generateKey();
+        byHash.delete(record.hash);
+        record.hash = hashKey(key);
+        record.prefix = key.slice(0, 7);
+        record.rotatedAt = now;
+        byHash.set(record.hash, record);
+        delete rateWindows[id];
+        dirty = true;
+        save();
+        return { key, record: describeKey(record) };
+    }
+
+    // Revoked keys stay in the store for their usage history
+    function revokeKey(id, now) {
+        const record = findActive(id);
+        if (!record) return null;
+        byHash.delete(record.hash);
+        record.revokedAt = now;
+        delete rateWindows[id];
+        dirty = true;
+        save();
+        return describeKey(record);
+    }
+
+    return {
+        authenticate,
+        consumeRateLimit,
+        recordUsage,
+        createKey,
+        rotateKey,
+        revokeKey,
+        listKeys: () => keys.map(describeKey),
+        save
+    };
+}
+
+module.exports = {
+    TIERS,
+    ALL_SCOPES,
+    ALL_CHANNELS,
+    getRouteScope,
+    isSameKey,
+    validateKeyRequest,
+    createKeyStore
+};
@@ -0,0 +1,342 @@
+// api-schemas.js
+//
+// Component schemas for the OpenAPI document (see openapi.js). Routes declare the `data`
+// of their responses next to their handlers in alphaflow-server.js and reference these
+// for the objects that appear in more than one response. Lags and times are in ms.
+
+const { ERROR_CODES, ref } = require('./openapi');
+const { PARAMETERS } = require('./detection-config');
+const { TIERS } = require('./api-keys');
+
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const nullableNumber = { type: 'number', nullable: true };
+const coin = { type: 'string', example: 'BTC-USD' };
+const followerCoin = { type: 'string', example: 'ETH-USD' };
+
+function arrayOf(items) {
+    return { type: 'array', items: items };
+}
+
+function mapOf(values) {
+    return { type: 'object', additionalProperties: values };
+}
+
+function object(properties, description) {
+    const schema = { type: 'object', properties: properties };
+    if (description) schema.description = description;
+    return schema;
+}
+
+const TAGS = [
+    { name: 'market', description: 'Live prices, ticks and candles' },
+    { name: 'causality', description: 'Leader-follower statistics, cascades and Granger tests' },
+    { name: 'signals', description: 'Live signals and how well their confidence holds up' },
+    { name: 'events', description: 'Stored leader events' },
+    { name: 'export', description: 'Bulk downloads' },
+    { name: 'system', description: 'Coins, feeds, detection parameters and health' },
+    { name: 'admin', description: 'Coin universe and API key management (needs x-admin-key)' }
+];
+
+// Binomial test of a pair's follow rate against its baseline, FDR-corrected across pairs
+const pairTest = {
+    baselineRate: number,
+    pValue: number,
+    qValue: number,
+    ci: object({ lower: number, upper: number }, 'Wilson interval of the follow rate'),
+    significant: { type: 'boolean' }
+};
+
+const histogram = arrayOf(object({ from: number, to: number, count: integer }));
+
+const calibrationScore = {
+    predictions: integer,
+    hits: integer,
+    hitRate: nullableNumber,
+    meanConfidence: nullableNumber,
+    brierScore: nullableNumber,
+    brierSkill: nullableNumber
+};
+
+// Built from detection-config.js PARAMETERS so the limits stay the ones PUT enforces
+function detectionParameters() {
+    const properties = {};
+    Object.keys(PARAMETERS).forEach(name => {
+        const spec = PARAMETERS[name];
+        properties[name] = spec.type === 'windows' ?
+            {
+                type: 'array',
+                maxItems: spec.maxItems,
+                description: spec.description,
+                items: object({
+                    windowMs: { type: 'integer', minimum: spec.windowMs.min, maximum: spec.windowMs.max },
+                    moveThreshold: { type: 'number', minimum: PARAMETERS.moveThreshold.min, maximum: PARAMETERS.moveThreshold.max }
+                })
+            } :
+            { type: spec.integer ? 'integer' : 'number', minimum: spec.min, maximum: spec.max, description: spec.description };
+    });
+    return object(properties);
+}
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'data', 'error'],
+        properties: {
+            success: { type: 'boolean', example: false },
+            data: { type: 'object', nullable: true, example: null },
+            error: {
+                type: 'object',
+                required: ['code', 'message'],
+                properties: {
+                    code: {
+                        type: 'string',
+                        enum: Object.values(ERROR_CODES),
+                        example: 'not_found'
+                    },
+                    message: { type: 'string', example: 'Coin not found' },
+                    details: arrayOf(string)
+                }
+            }
+        }
+    },
+    Price: object({
+        price: number,
+        change: number,
+        changePercent: number,
+        lastUpdate: integer,
+        exchangeTime: { type: 'integer', nullable: true },
+        receiveTime: integer
+    }),
+    Statistics: object({ totalTicks: integer, divergenceEvents: integer, startTime: integer }),
+    Tick: object({ time: integer, price: number, size: nullableNumber }),
+    Candle: object({ time: integer, open: number, high: number, low: number, close: number, volume: number, trades: integer }),
+    MatrixCell: object({
+        followRate: number,
+        recentFollowRate: nullableNumber,
+        avgLag: number,
+        lagStdDev: nullableNumber,
+        medianLag: nullableNumber,
+        p90Lag: nullableNumber,
+        avgMagnitude: { type: 'number', description: 'Volatility-normalized follower/leader move ratio' },
+        sampleSize: integer,
+        ...pairTest
+    }, 'recentFollowRate and the lag spread are null for windows other than all and for regime stats'),
+    PairStats: object({
+        followRate: number,
+        recentFollowRate: number,
+        avgLag: number,
+        lagStdDev: number,
+        medianLag: { type: 'number', nullable: true, description: 'null until the pair has followed' },
+        p90Lag: { type: 'number', nullable: true, description: 'null until the pair has followed' },
+        avgMagnitude: number,
+        magnitudeStdDev: number,
+        sampleSize: integer,
+        successfulFollows: integer,
+        missedFollows: integer,
+        lagHistogram: histogram,
+        magnitudeHistogram: histogram,
+        ...pairTest
+    }),
+    BestPair: object({
+        leader: coin,
+        follower: followerCoin,
+        followRate: { type: 'number', example: 0.865 },
+        confidence: { type: 'number', example: 0.857, description: 'Laplace-smoothed follow rate, as used for signals' },
+        avgLag: { type: 'number', example: 4800 },
+        avgMagnitude: { type: 'number', example: 0.72 },
+        medianLag: { type: 'number', nullable: true, description: 'null unless window=all' },
+        recentFollowRate: { type: 'number', nullable: true, description: 'null unless window=all' },
+        sampleSize: { type: 'integer', example: 52 },
+        successfulFollows: integer,
+        missedFollows: integer,
+        ...pairTest
+    }),
+    TimeseriesBucket: object({
+        start: integer,
+        end: integer,
+        successfulFollows: integer,
+        missedFollows: integer,
+        followRate: number,
+        avgLag: number,
+        avgMagnitude: number,
+        sampleSize: integer
+    }),
+    LeaderEvent: object({
+        id: { type: 'string', example: 'BTC-USD-1718000000000' },
+        track: { type: 'string', enum: ['raw', 'adjusted'] },
+        timestamp: integer,
+        leader: coin,
+        price: number,
+        changePercent: number,
+        direction: { type: 'string', enum: ['pump', 'dump'] },
+        window: { type: 'string', description: 'Detection window the move crossed its threshold in' },
+        windowMs: integer,
+        threshold: number,
+        lagWindowMs: integer,
+        regime: string,
+        parameterSetId: string,
+        followersResponded: mapOf(object({ lagTime: number, receiveLagTime: number, changePercent: number, magnitudeRatio: number })),
+        divergences: mapOf(object({ firstLagTime: number, changePercent: number }, 'Follower that moved the other way')),
+        resolutions: mapOf(object({ outcome: string, reason: string, lagTime: number })),
+        cascade: object({
+            rootEventId: string,
+            parentEventId: string,
+            chain: arrayOf(coin),
+            hopLags: arrayOf(number)
+        }, 'Set when the event continues an earlier leader\'s chain')
+    }),
+    Cascade: object({
+        path: arrayOf(coin),
+        hops: integer,
+        hits: integer,
+        chainOccurrences: integer,
+        hitRate: number,
+        avgHopLags: arrayOf(number),
+        avgCumulativeLag: number,
+        lastSeen: integer
+    }),
+    GrangerPair: object({
+        leader: coin,
+        follower: followerCoin,
+        bestLag: integer,
+        bestLagMs: integer,
+        fStatistic: number,
+        pValue: number,
+        qValue: number,
+        significant: { type: 'boolean' },
+        observations: integer,
+        lagTests: arrayOf(object({ lag: integer, observations: integer, fStatistic: number, pValue: number })),
+        transferEntropy: { type: 'number', nullable: true, description: 'Only with te=true' },
+        eventFollowRate: number,
+        eventAvgLag: number
+    }),
+    FeedLatency: object({
+        ticks: integer,
+        missingExchangeTime: integer,
+        sampleSize: integer,
+        lastLatencyMs: nullableNumber,
+        meanLatencyMs: nullableNumber,
+        jitterMs: nullableNumber,
+        p50LatencyMs: nullableNumber,
+        p95LatencyMs: nullableNumber,
+        p99LatencyMs: nullableNumber,
+        maxLatencyMs: nullableNumber,
+        estimatedClockSkewMs: nullableNumber,
+        negativeLatencySamples: integer
+    }),
+    Signal: object({
+        id: string,
+        eventId: string,
+        leader: coin,
+        follower: followerCoin,
+        direction: { type: 'string', enum: ['pump', 'dump'] },
+        leaderChangePercent: number,
+        window: string,
+        regime: string,
+        issuedAt: integer,
+        expectedLag: object({ avg: number, median: nullableNumber, p90: nullableNumber }),
+        expiresAt: integer,
+        expectedMagnitude: number,
+        confidence: number,
+        basis: { type: 'string', enum: ['regime', 'all'] },
+        sampleSize: integer,
+        qValue: nullableNumber,
+        issued: { type: 'boolean' },
+        status: { type: 'string', enum: ['pending', 'hit', 'miss', 'void'] },
+        resolvedAt: { type: 'integer', nullable: true },
+        outcome: { type: 'object', nullable: true, properties: { outcome: string, reason: string, lagTime: number } }
+    }),
+    SignalAccuracy: object({
+        issued: integer,
+        pending: integer,
+        hits: integer,
+        misses: integer,
+        voided: integer,
+        hitRate: nullableNumber
+    }),
+    ReliabilityPoint: object({
+        range: arrayOf(number),
+        predictions: integer,
+        meanConfidence: number,
+        observedRate: number,
+        brierScore: number
+    }),
+    CalibrationScore: object({ ...calibrationScore, calibrationError: nullableNumber }),
+    PairCalibration: object({
+        leader: coin,
+        follower: followerCoin,
+        ...calibrationScore,
+        calibrationError: nullableNumber,
+        reliability: arrayOf(ref('ReliabilityPoint'))
+    }),
+    DetectionParameters: detectionParameters(),
+    DetectionConfig: {
+        type: 'object',
+        required: ['defaults'],
+        properties: {
+            defaults: ref('DetectionParameters'),
+            assetClassOverrides: mapOf(ref('DetectionParameters')),
+            coinOverrides: mapOf(ref('DetectionParameters'))
+        },
+        description: 'defaults needs every parameter; overrides only the ones they change'
+    },
+    Product: object({ id: coin, assetClass: { type: 'string', example: 'MAJOR' } }),
+    ApiKey: object({
+        id: { type: 'string', example: 'key_3f9a1c2b7d4e' },
+        owner: string,
+        tier: { type: 'string', enum: Object.keys(TIERS) },
+        prefix: { type: 'string', example: 'af_Xy3k' },
+        rateLimitPerMinute: { type: 'integer', nullable: true, description: 'null uses the tier default' },
+        createdAt: integer,
+        rotatedAt: { type: 'integer', nullable: true },
+        revokedAt: { type: 'integer', nullable: true },
+        lastUsedAt: { type: 'integer', nullable: true },
+        active: { type: 'boolean' },
+        usage: object({
+            requests: integer,
+            rateLimited: integer,
+            forbidden: integer,
+            wsConnections: integer,
+            byScope: mapOf(integer)
+        })
+    }),
+    RegimeStatus: object({
+        regime: { type: 'string', enum: ['unknown', 'low_vol', 'high_vol', 'trending_up', 'trending_down'] },
+        since: { type: 'integer', nullable: true },
+        crossSectionalVol: nullableNumber,
+        baselineVol: nullableNumber,
+        trend: nullableNumber,
+        trendZ: nullableNumber,
+        coinsMeasured: integer,
+        lastUpdate: { type: 'integer', nullable: true }
+    }),
+    Health: object({
+        status: { type: 'string', example: 'running' },
+        uptime: { type: 'integer', example: 3600500 },
+        coinsTracked: { type: 'integer', example: 24 },
+        totalTicks: integer,
+        leaderEvents: integer,
+        connectedClients: integer,
+        coinbaseConnected: { type: 'boolean' },
+        feeds: mapOf({ type: 'boolean' }),
+        lagTimeSource: string,
+        parameterSetId: string,
+        feedLatency: mapOf(ref('FeedLatency')),
+        marketFactor: { type: 'object', nullable: true, description: 'null unless MARKET_FACTOR is set' },
+        marketRegime: ref('RegimeStatus'),
+        signalAccuracy: ref('SignalAccuracy'),
+        snapshotRestore: { type: 'object', nullable: true },
+        tickRecorder: { type: 'object', nullable: true },
+        eventStore: { type: 'object', nullable: true }
+    })
+};
+
+module.exports = {
+    TAGS,
+    SCHEMAS,
+    object,
+    arrayOf,
+    mapOf
+};
@@ -0,0 +1,153 @@
+// calibration.js
+//
+// Scores resolved predictions against what actually happened, so `confidence` can be
+// checked: of the predictions made at ~80%, did ~80% hit? A prediction is made for every
+// follower of a leader event with enough history (see signals.js), whether or not it was
+// issued as a signal, so the whole confidence range is covered.
+//
+// Stats are plain data so they can live in marketData and be saved with snapshots:
+//
+//   overall: score of every resolved prediction
+//   signals: score of the predictions that were issued as signals
+//   buckets: one score per confidence decile
+//   pairs:   { 'A>B': { ...score, buckets: { [decile]: score } } }
+//
+// where a score is { predictions, hits, confidenceSum, brierSum }.
+
+const BUCKET_COUNT = 10;
+
+function emptyScore() {
+    return { predictions: 0, hits: 0, confidenceSum: 0, brierSum: 0 };
+}
+
+function createCalibrationStats() {
+    return {
+        overall: emptyScore(),
+        signals: emptyScore(),
+        buckets: Array.from({ length: BUCKET_COUNT }, emptyScore),
+        pairs: {}
+    };
+}
+
+function isValidScore(score) {
+    return score !== null && typeof score === 'object' &&
+        Number.isFinite(score.predictions) && Number.isFinite(score.hits) &&
+        Number.isFinite(score.confidenceSum) && Number.isFinite(score.brierSum);
+}
+
+function isValidCalibrationStats(saved) {
+    return saved !== null && typeof saved === 'object' &&
+        isValidScore(saved.overall) && isValidScore(saved.signals) &&
+        Array.isArray(saved.buckets) && saved.buckets.length === BUCKET_COUNT && saved.buckets.every(isValidScore) &&
+        saved.pairs !== null && typeof saved.pairs === 'object';
+}
+
+function bucketFor(confidence) {
+    return Math.min(Math.floor(confidence * BUCKET_COUNT), BUCKET_COUNT - 1);
+}
+
+function addToScore(score, confidence, hit) {
+    const outcome = hit ? 1 : 0;
+    score.predictions++;
+    score.hits += outcome;
+    score.confidenceSum += confidence;
+    score.brierSum += (confidence - outcome) * (confidence - outcome);
+}
+
+// prediction: { leader, follower, confidence, issued }
+function recordPrediction(stats, prediction, hit) {
+    const { leader, follower, confidence } = prediction;
+    const bucket = bucketFor(confidence);
+    const key = `${leader}>${follower}`;
+    const pair = stats.pairs[key] || (stats.pairs[key] = { ...emptyScore(), buckets: {} });
+
+    addToScore(stats.overall, confidence, hit);
+    if (prediction.issued) addToScore(stats.signals, confidence, hit);
+    addToScore(stats.buckets[bucket], confidence, hit);
+    addToScore(pair, confidence, hit);
+    addToScore(pair.buckets[bucket] || (pair.buckets[bucket] = emptyScore()), confidence, hit);
+}
+
+function reliabilityPoint(score, bucket) {
+    return {
+        range: [bucket / BUCKET_COUNT, (bucket + 1) / BUCKET_COUNT],
+        predictions: score.predictions,
+        meanConfidence: score.confidenceSum / score.predictions,
+        observedRate: score.hits / score.predictions,
+        brierScore: score.brierSum / score.predictions
+    };
+}
+
+// Only buckets that received predictions appear on the curve
+function reliabilityCurve(buckets) {
+    const curve = [];
+    for (let bucket = 0; bucket < BUCKET_COUNT; bucket++) {
+        const score = buckets[bucket];
+        if (score && score.predictions > 0) curve.push(reliabilityPoint(score, bucket));
+    }
+    return curve;
+}
+
+// brierSkill compares against always predicting the observed hit rate (1 is perfect,
+// 0 or below means confidence adds nothing). calibrationError is the prediction-weighted
+// mean gap between confidence and observed rate across the curve.
+function summarizeScore(score, curve) {
+    if (score.predictions === 0) {
+        return { predictions: 0, hits: 0, hitRate: null, meanConfidence: null, brierScore: null, brierSkill: null, calibrationError: null };
+    }
+    const hitRate = score.hits / score.predictions;
+    const brierScore = score.brierSum / score.predictions;
+    const referenceBrier = hitRate * (1 - hitRate);
+    const summary = {
+        predictions: score.predictions,
+        hits: score.hits,
+        hitRate: hitRate,
+        meanConfidence: score.confidenceSum / score.predictions,
+        brierScore: brierScore,
+        brierSkill: referenceBrier > 0 ? 1 - brierScore / referenceBrier : null
+    };
+    if (curve) {
+        summary.calibrationError = curve.reduce((sum, point) =>
+            sum + point.predictions * Math.abs(point.meanConfidence - point.observedRate), 0) / score.predictions;
+    }
+    return summary;
+}
+
+// options: { leader, follower, minPredictions, limit }; pairs with the most predictions first
+function getCalibrationReport(stats, { leader, follower, minPredictions = 1, limit = 50 } = {}) {
+    const reliability = reliabilityCurve(stats.buckets);
+    const pairs = Object.keys(stats.pairs)
+        .map(key => {
+            const [pairLeader, pairFollower] = key.split('>');
+            const record = stats.pairs[key];
+            const curve = reliabilityCurve(record.buckets);
+            return { leader: pairLeader, follower: pairFollower, ...summarizeScore(record, curve), reliability: curve };
+        })
+        .filter(pair => pair.predictions >= minPredictions &&
+            (!leader || pair.leader === leader) &&
+            (!follower || pair.follower === follower))
+        .sort((a, b) => b.predictions - a.predictions);
+
+    return {
+        overall: summarizeScore(stats.overall, reliability),
+        signals: summarizeScore(stats.signals),
+        reliability: reliability,
+        pairs: pairs.slice(0, limit),
+        totalPairs: pairs.length
+    };
+}
+
+function removeCoin(stats, coin) {
+    Object.keys(stats.pairs).forEach(key => {
+        if (key.split('>').includes(coin)) delete stats.pairs[key];
+    });
+}
+
+module.exports = {
+    BUCKET_COUNT,
+    createCalibrationStats,
+    isValidCalibrationStats,
+    recordPrediction,
+    getCalibrationReport,
+    removeCoin
+};
@@ -0,0 +1,105 @@
+// candle-aggregator.js
+//
+// Maintains OHLCV bars per coin at several resolutions as ticks arrive. Bars are keyed
+// by their start time (aligned to the interval) and only exist for intervals that saw
+// at least one tick:
+//
+//   { time, open, high, low, close, volume, trades }
+//
+// Volume sums trade sizes; feeds that don't send a size contribute trades but no volume.
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Retention is a bar count per interval, so memory stays fixed per coin
+const INTERVALS = {
+    '1s': { ms: SECOND, maxBars: 900 },        // 15 minutes
+    '5s': { ms: 5 * SECOND, maxBars: 1440 },   // 2 hours
+    '15s': { ms: 15 * SECOND, maxBars: 960 },  // 4 hours
+    '1m': { ms: MINUTE, maxBars: 1440 },       // 24 hours
+    '5m': { ms: 5 * MINUTE, maxBars: 2016 },   // 7 days
+    '15m': { ms: 15 * MINUTE, maxBars: 672 },  // 7 days
+    '1h': { ms: HOUR, maxBars: 720 }           // 30 days
+};
+
+// Index of the last bar starting at or before `time`, or -1
+function findBar(bars, time) {
+    let low = 0;
+    let high = bars.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (bars[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+function addToSeries(bars, interval, time, price, size, inOrder) {
+    const barTime = Math.floor(time / interval.ms) * interval.ms;
+    const last = bars[bars.length - 1];
+
+    if (!last || barTime > last.time) {
+        bars.push({ time: barTime, open: price, high: price, low: price, close: price, volume: size || 0, trades: 1 });
+        if (bars.length > interval.maxBars) bars.splice(0, bars.length - interval.maxBars);
+        return;
+    }
+
+    // Late ticks update the bar they belong to, but never its open or close
+    const index = barTime === last.time ? bars.length - 1 : findBar(bars, barTime);
+    const bar = bars[index];
+    if (!bar || bar.time !== barTime) return; // Older than retention, or an interval we never opened
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    if (inOrder) bar.close = price;
+    bar.volume += size || 0;
+    bar.trades++;
+}
+
+// options.intervals limits which INTERVALS keys are maintained (all by default)
+function createCandleAggregator({ intervals = Object.keys(INTERVALS) } = {}) {
+    const series = {}; // coin -> interval -> bars
+    const lastTickTime = {}; // coin -> latest tick time seen
+
+    function addTick(coin, time, price, size) {
+        if (!series[coin]) {
+            series[coin] = {};
+            intervals.forEach(key => { series[coin][key] = []; });
+        }
+        const inOrder = lastTickTime[coin] === undefined || time >= lastTickTime[coin];
+        if (inOrder) lastTickTime[coin] = time;
+        intervals.forEach(key => {
+            addToSeries(series[coin][key], INTERVALS[key], time, price, size, inOrder);
+        });
+    }
+
+    // Bars whose start lies in [from, to]; either bound may be omitted
+    function getCandles(coin, interval, { from, to } = {}) {
+        const bars = series[coin] && series[coin][interval];
+        if (!bars) return [];
+        const start = from === undefined ? 0 : findBar(bars, from - 1) + 1;
+        const end = to === undefined ? bars.length : findBar(bars, to) + 1;
+        return bars.slice(start, end);
+    }
+
+    function removeCoin(coin) {
+        delete series[coin];
+        delete lastTickTime[coin];
+    }
+
+    return {
+        addTick,
+        getCandles,
+        removeCoin
+    };
+}
+
+module.exports = {
+    INTERVALS,
+    createCandleAggregator
+};
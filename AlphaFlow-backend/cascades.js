@@ -0,0 +1,119 @@
+// cascades.js
+//
+// Links leader events into lead-lag chains. When coin B follows a leader event on A and
+// then fires its own leader event in the same direction while A's window is still open,
+// B's event is chained to A's. Followers of B's event then complete the path A → B → C.
+//
+// Stats are plain data so they can live in marketData and be saved with snapshots:
+//
+//   chains: { 'A>B': { chain, occurrences, lastSeen } }
+//   paths:  { 'A>B>C': { path, hits, hopLagSums, lastSeen } }
+//
+// A path's hit rate is its hits over the number of times its chain occurred.
+
+const MAX_CHAIN_LENGTH = parseInt(process.env.CASCADE_MAX_CHAIN_LENGTH) || 4;
+
+function createCascadeStats() {
+    return { chains: {}, paths: {} };
+}
+
+function isValidCascadeStats(saved) {
+    return saved !== null && typeof saved === 'object' &&
+        saved.chains !== null && typeof saved.chains === 'object' &&
+        saved.paths !== null && typeof saved.paths === 'object';
+}
+
+// The most recent active event that `event.leader` already followed in the same direction,
+// or null. Chains never revisit a coin and stop growing at MAX_CHAIN_LENGTH.
+function findParentEvent(activeEvents, event) {
+    let parent = null;
+    activeEvents.forEach(candidate => {
+        if (candidate.leader === event.leader || candidate.direction !== event.direction) return;
+        if (event.timestamp - candidate.timestamp >= candidate.lagWindowMs) return;
+
+        const resolution = candidate.resolutions[event.leader];
+        if (!resolution || resolution.outcome !== 'follow') return;
+
+        const chain = candidate.cascade ? candidate.cascade.chain : [candidate.leader];
+        if (chain.length >= MAX_CHAIN_LENGTH || chain.includes(event.leader)) return;
+        if (!parent || candidate.timestamp > parent.timestamp) parent = candidate;
+    });
+    return parent;
+}
+
+// Cascade metadata for an event chained to `parent`
+function linkEvent(stats, parent, event) {
+    const parentChain = parent.cascade ? parent.cascade.chain : [parent.leader];
+    const parentHopLags = parent.cascade ? parent.cascade.hopLags : [];
+    const cascade = {
+        rootEventId: parent.cascade ? parent.cascade.rootEventId : parent.id,
+        parentEventId: parent.id,
+        chain: [...parentChain, event.leader],
+        hopLags: [...parentHopLags, event.timestamp - parent.timestamp]
+    };
+
+    const key = cascade.chain.join('>');
+    const record = stats.chains[key] || (stats.chains[key] = { chain: cascade.chain, occurrences: 0, lastSeen: null });
+    record.occurrences++;
+    record.lastSeen = event.timestamp;
+    return cascade;
+}
+
+// A follower responded to a chained event, completing chain → follower
+function recordPathHit(stats, cascade, follower, lagTime, time) {
+    if (cascade.chain.includes(follower)) return;
+
+    const path = [...cascade.chain, follower];
+    const hopLags = [...cascade.hopLags, lagTime];
+    const key = path.join('>');
+    const record = stats.paths[key] ||
+        (stats.paths[key] = { path, hits: 0, hopLagSums: new Array(hopLags.length).fill(0), lastSeen: null });
+
+    record.hits++;
+    hopLags.forEach((lag, i) => { record.hopLagSums[i] += lag; });
+    record.lastSeen = time;
+}
+
+function summarizePath(stats, record) {
+    const chain = stats.chains[record.path.slice(0, -1).join('>')];
+    const chainOccurrences = chain ? chain.occurrences : record.hits;
+    const avgHopLags = record.hopLagSums.map(sum => sum / record.hits);
+    return {
+        path: record.path,
+        hops: record.path.length - 1,
+        hits: record.hits,
+        chainOccurrences: chainOccurrences,
+        hitRate: chainOccurrences > 0 ? Math.min(record.hits / chainOccurrences, 1) : 0,
+        avgHopLags: avgHopLags,
+        avgCumulativeLag: avgHopLags.reduce((a, b) => a + b, 0),
+        lastSeen: record.lastSeen
+    };
+}
+
+// Most recurring paths first; ties broken by hit rate
+function getTopCascades(stats, { limit = 20, minHits = 1, coin } = {}) {
+    const summaries = Object.values(stats.paths)
+        .filter(record => record.hits >= minHits && (!coin || record.path.includes(coin)))
+        .map(record => summarizePath(stats, record))
+        .sort((a, b) => b.hits - a.hits || b.hitRate - a.hitRate);
+    return { cascades: summaries.slice(0, limit), totalPaths: summaries.length };
+}
+
+function removeCoin(stats, coin) {
+    ['chains', 'paths'].forEach(section => {
+        Object.keys(stats[section]).forEach(key => {
+            if (key.split('>').includes(coin)) delete stats[section][key];
+        });
+    });
+}
+
+module.exports = {
+    MAX_CHAIN_LENGTH,
+    createCascadeStats,
+    isValidCascadeStats,
+    findParentEvent,
+    linkEvent,
+    recordPathHit,
+    getTopCascades,
+    removeCoin
+};
@@ -0,0 +1,237 @@
+// causality-estimators.js
+//
+// Model-based lead-lag estimators, run on fixed-interval bars rather than raw ticks so
+// they can be cross-checked against the event-counting matrix in alphaflow-server.js.
+//
+//   Granger causality: for each leader→follower pair and lag order p, compares
+//       restricted    r_f(t) = c + Σ a_i r_f(t-i)
+//       unrestricted  r_f(t) = c + Σ a_i r_f(t-i) + Σ b_i r_l(t-i)
+//   with an F-test on the residual sums of squares (i = 1..p).
+//
+//   Transfer entropy: T(l→f) = Σ p(f', f, l) log2[ p(f' | f, l) / p(f' | f) ] on returns
+//   discretized into equal-frequency bins, with one bar of history.
+
+const { fDistributionUpperTail, benjaminiHochberg } = require('./stats');
+
+// Last-price bars on a common grid ending at `endTime`. Bars before a coin's first tick
+// are null; bars without a tick carry the previous close forward.
+function resampleToBars(history, resolutionMs, endTime, barCount) {
+    const gridEnd = Math.floor(endTime / resolutionMs) * resolutionMs;
+    const gridStart = gridEnd - barCount * resolutionMs;
+    const bars = new Array(barCount).fill(null);
+
+    let lastPrice = null;
+    let index = 0;
+    for (let bar = 0; bar < barCount; bar++) {
+        const barEnd = gridStart + (bar + 1) * resolutionMs;
+        while (index < history.length && history[index].time < barEnd) {
+            lastPrice = history[index].price;
+            index++;
+        }
+        bars[bar] = lastPrice;
+    }
+    return bars;
+}
+
+function logReturns(bars) {
+    const returns = new Array(bars.length).fill(null);
+    for (let i = 1; i < bars.length; i++) {
+        if (bars[i] !== null && bars[i - 1] !== null) {
+            returns[i] = Math.log(bars[i] / bars[i - 1]);
+        }
+    }
+    return returns;
+}
+
+// Solves (X'X) b = X'y by Gaussian elimination and returns the residual sum of squares
+function olsResidualSumOfSquares(rows, targets) {
+    const k = rows[0].length;
+    const xtx = Array.from({ length: k }, () => new Array(k).fill(0));
+    const xty = new Array(k).fill(0);
+
+    rows.forEach((row, r) => {
+        for (let i = 0; i < k; i++) {
+            xty[i] += row[i] * targets[r];
+            for (let j = i; j < k; j++) xtx[i][j] += row[i] * row[j];
+        }
+    });
+    for (let i = 0; i < k; i++) {
+        for (let j = 0; j < i; j++) xtx[i][j] = xtx[j][i];
+    }
+
+    // Forward elimination with partial pivoting
+    for (let col = 0; col < k; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < k; r++) {
+            if (Math.abs(xtx[r][col]) > Math.abs(xtx[pivot][col])) pivot = r;
+        }
+        if (Math.abs(xtx[pivot][col]) < 1e-18) return null; // Singular (e.g. a flat series)
+        [xtx[col], xtx[pivot]] = [xtx[pivot], xtx[col]];
+        [xty[col], xty[pivot]] = [xty[pivot], xty[col]];
+
+        for (let r = col + 1; r < k; r++) {
+            const factor = xtx[r][col] / xtx[col][col];
+            for (let c = col; c < k; c++) xtx[r][c] -= factor * xtx[col][c];
+            xty[r] -= factor * xty[col];
+        }
+    }
+
+    const beta = new Array(k).fill(0);
+    for (let i = k - 1; i >= 0; i--) {
+        let sum = xty[i];
+        for (let j = i + 1; j < k; j++) sum -= xtx[i][j] * beta[j];
+        beta[i] = sum / xtx[i][i];
+    }
+
+    let rss = 0;
+    rows.forEach((row, r) => {
+        let fitted = 0;
+        for (let i = 0; i < k; i++) fitted += row[i] * beta[i];
+        rss += Math.pow(targets[r] - fitted, 2);
+    });
+    return rss;
+}
+
+// Granger F-test of leader → follower at lag order p. Both return series must be aligned.
+function grangerTest(leaderReturns, followerReturns, lag) {
+    const restrictedRows = [];
+    const unrestrictedRows = [];
+    const targets = [];
+
+    for (let t = lag; t < followerReturns.length; t++) {
+        let complete = followerReturns[t] !== null;
+        for (let i = 1; i <= lag && complete; i++) {
+            complete = followerReturns[t - i] !== null && leaderReturns[t - i] !== null;
+        }
+        if (!complete) continue;
+
+        const restricted = [1];
+        const unrestricted = [1];
+        for (let i = 1; i <= lag; i++) {
+            restricted.push(followerReturns[t - i]);
+            unrestricted.push(followerReturns[t - i]);
+        }
+        for (let i = 1; i <= lag; i++) unrestricted.push(leaderReturns[t - i]);
+
+        restrictedRows.push(restricted);
+        unrestrictedRows.push(unrestricted);
+        targets.push(followerReturns[t]);
+    }
+
+    const n = targets.length;
+    const df2 = n - 2 * lag - 1;
+    if (df2 < 10) return null;
+
+    const rssRestricted = olsResidualSumOfSquares(restrictedRows, targets);
+    const rssUnrestricted = olsResidualSumOfSquares(unrestrictedRows, targets);
+    if (rssRestricted === null || rssUnrestricted === null || rssUnrestricted <= 0) return null;
+
+    const fStatistic = ((rssRestricted - rssUnrestricted) / lag) / (rssUnrestricted / df2);
+    return {
+        lag,
+        observations: n,
+        fStatistic,
+        pValue: fDistributionUpperTail(fStatistic, lag, df2)
+    };
+}
+
+// Equal-frequency bin index per value (null stays null)
+function discretize(values, bins) {
+    const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return values.map(() => null);
+    const edges = [];
+    for (let b = 1; b < bins; b++) {
+        edges.push(sorted[Math.floor((b / bins) * sorted.length)]);
+    }
+    return values.map(v => {
+        if (v === null) return null;
+        let bin = 0;
+        while (bin < edges.length && v > edges[bin]) bin++;
+        return bin;
+    });
+}
+
+// Transfer entropy leader → follower in bits, with one bar of history
+function transferEntropy(leaderReturns, followerReturns, bins = 3) {
+    const l = discretize(leaderReturns, bins);
+    const f = discretize(followerReturns, bins);
+
+    const joint = {};      // (f', f, l)
+    const condFull = {};   // (f, l)
+    const condSelf = {};   // (f', f)
+    const self = {};       // (f)
+    let n = 0;
+
+    for (let t = 1; t < f.length; t++) {
+        if (f[t] === null || f[t - 1] === null || l[t - 1] === null) continue;
+        const kJoint = `${f[t]}|${f[t - 1]}|${l[t - 1]}`;
+        const kFull = `${f[t - 1]}|${l[t - 1]}`;
+        const kSelf = `${f[t]}|${f[t - 1]}`;
+        joint[kJoint] = (joint[kJoint] || 0) + 1;
+        condFull[kFull] = (condFull[kFull] || 0) + 1;
+        condSelf[kSelf] = (condSelf[kSelf] || 0) + 1;
+        self[f[t - 1]] = (self[f[t - 1]] || 0) + 1;
+        n++;
+    }
+    if (n === 0) return null;
+
+    let te = 0;
+    Object.keys(joint).forEach(key => {
+        const [next, prev, lead] = key.split('|');
+        const count = joint[key];
+        const pNextGivenBoth = count / condFull[`${prev}|${lead}`];
+        const pNextGivenSelf = condSelf[`${next}|${prev}`] / self[prev];
+        te += (count / n) * Math.log2(pNextGivenBoth / pNextGivenSelf);
+    });
+    return te;
+}
+
+// Runs both estimators over every ordered pair of `coins`.
+// histories: { [coin]: [{ time, price }, ...] } in time order.
+function analyzePairs({ histories, coins, resolutionMs, barCount, lags, includeTransferEntropy, bins, now }) {
+    const returns = {};
+    coins.forEach(coin => {
+        returns[coin] = logReturns(resampleToBars(histories[coin] || [], resolutionMs, now, barCount));
+    });
+
+    const results = [];
+    coins.forEach(leader => {
+        coins.forEach(follower => {
+            if (leader === follower) return;
+
+            const tests = lags
+                .map(lag => grangerTest(returns[leader], returns[follower], lag))
+                .filter(Boolean);
+            if (tests.length === 0) return;
+
+            const best = tests.reduce((a, b) => (b.pValue < a.pValue ? b : a));
+            results.push({
+                leader,
+                follower,
+                bestLag: best.lag,
+                bestLagMs: best.lag * resolutionMs,
+                fStatistic: best.fStatistic,
+                // Bonferroni across the lag orders tried for this pair
+                pValue: Math.min(1, best.pValue * tests.length),
+                observations: best.observations,
+                lagTests: tests,
+                transferEntropy: includeTransferEntropy ?
+                    transferEntropy(returns[leader], returns[follower], bins) : undefined
+            });
+        });
+    });
+
+    const qValues = benjaminiHochberg(results.map(r => r.pValue));
+    results.forEach((r, i) => { r.qValue = qValues[i]; });
+    results.sort((a, b) => a.qValue - b.qValue || a.pValue - b.pValue);
+
+    return results;
+}
+
+module.exports = {
+    resampleToBars,
+    logReturns,
+    grangerTest,
+    transferEntropy,
+    analyzePairs
+};
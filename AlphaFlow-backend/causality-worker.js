@@ -0,0 +1,84 @@
+// causality-worker.js
+//
+// Runs analyzePairs (causality-estimators.js) on a worker thread, so estimating every
+// pair doesn't stall ticks, WebSocket traffic and other requests. One worker runs the
+// jobs one at a time, in order; a job asked for again while it is queued or running
+// shares the first request's result. Past maxPending jobs, new ones are refused.
+
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { analyzePairs } = require('./causality-estimators');
+
+if (!isMainThread) {
+    parentPort.on('message', ({ id, options }) => {
+        try {
+            parentPort.postMessage({ id, results: analyzePairs(options) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+function createCausalityWorker({ maxPending = 4 } = {}) {
+    let worker = null;
+    let nextId = 1;
+    const jobs = new Map();   // job id -> { key, promise, resolve, reject }
+    const byKey = new Map();  // job key -> job
+
+    function finish(id, settle) {
+        const job = jobs.get(id);
+        if (!job) return;
+        jobs.delete(id);
+        byKey.delete(job.key);
+        settle(job);
+    }
+
+    function failAll(error) {
+        [...jobs.keys()].forEach(id => finish(id, job => job.reject(error)));
+    }
+
+    function getWorker() {
+        if (worker) return worker;
+        worker = new Worker(__filename);
+        worker.on('message', ({ id, results, error }) => {
+            finish(id, job => (error ? job.reject(new Error(error)) : job.resolve(results)));
+        });
+        worker.on('error', error => {
+            worker = null;
+            failAll(error);
+        });
+        worker.on('exit', code => {
+            worker = null;
+            failAll(new Error(`Causality worker exited with code ${code}`));
+        });
+        worker.unref(); // Never keeps the process alive; after the listeners, which ref it
+        return worker;
+    }
+
+    // key identifies the job's inputs; getOptions() builds analyzePairs' options and is only
+    // called when the job is queued. Returns a promise of the results, or null when busy.
+    function run(key, getOptions) {
+        const queued = byKey.get(key);
+        if (queued) return queued.promise;
+        if (jobs.size >= maxPending) return null;
+
+        const id = nextId++;
+        const job = { key };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        jobs.set(id, job);
+        byKey.set(key, job);
+        getWorker().postMessage({ id, options: getOptions() });
+        return job.promise;
+    }
+
+    return {
+        run,
+        getPending: () => jobs.size
+    };
+}
+
+module.exports = {
+    createCausalityWorker
+};
@@ -0,0 +1,61 @@
+// coin-config.js
+//
+// Loads and saves the tracked coin universe (config/coins.json by default):
+//
+//   { "products": [ { "id": "BTC-USD", "assetClass": "MAJOR" }, ... ] }
+
+const fs = require('fs');
+const path = require('path');
+
+const PRODUCT_ID_PATTERN = /^[A-Z0-9]+-[A-Z]+$/;
+const ASSET_CLASS_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+function validateProduct(product) {
+    if (!product || typeof product !== 'object') return 'Product must be an object';
+    if (typeof product.id !== 'string' || !PRODUCT_ID_PATTERN.test(product.id)) {
+        return `Invalid product id "${product.id}" (expected BASE-QUOTE, e.g. BTC-USD)`;
+    }
+    if (typeof product.assetClass !== 'string' || !ASSET_CLASS_PATTERN.test(product.assetClass)) {
+        return `Invalid asset class "${product.assetClass}" for ${product.id} (expected e.g. DEFI)`;
+    }
+    return null;
+}
+
+function loadCoinConfig(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!config || !Array.isArray(config.products) || config.products.length === 0) {
+        throw new Error(`${filePath} must contain a non-empty "products" array`);
+    }
+
+    const seen = new Set();
+    config.products.forEach(product => {
+        const error = validateProduct(product);
+        if (error) throw new Error(`${filePath}: ${error}`);
+        if (seen.has(product.id)) throw new Error(`${filePath}: duplicate product ${product.id}`);
+        seen.add(product.id);
+    });
+
+    return config.products.map(product => ({ id: product.id, assetClass: product.assetClass }));
+}
+
+function saveCoinConfig(filePath, products) {
+    const tempFilePath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempFilePath, JSON.stringify({ products }, null, 4) + '\n');
+    fs.renameSync(tempFilePath, filePath);
+}
+
+// { MAJOR: ['BTC-USD', ...], ... } — the shape the dashboard's ASSET_CLASSES uses
+function groupByAssetClass(products) {
+    return products.reduce((groups, product) => {
+        (groups[product.assetClass] = groups[product.assetClass] || []).push(product.id);
+        return groups;
+    }, {});
+}
+
+module.exports = {
+    validateProduct,
+    loadCoinConfig,
+    saveCoinConfig,
+    groupByAssetClass
+};
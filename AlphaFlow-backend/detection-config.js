@@ -0,0 +1,198 @@
+// detection-config.js
+//
+// Runtime detection parameters, persisted to config/detection.json:
+//
+//   {
+//       "defaults":            { "moveThreshold": 1.5, ... },
+//       "assetClassOverrides": { "MEME": { "moveThreshold": 2.5 } },
+//       "coinOverrides":       { "BTC-USD": { "sigmaMultiplier": 2.5 } }
+//   }
+//
+// A coin's effective parameters are defaults < asset class override < coin override.
+// Every distinct configuration gets a content-derived parameterSetId, which is stamped
+// on snapshots and events so results can be traced to the parameters that produced them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PARAMETERS = {
+    moveThreshold: { min: 0.001, max: 50, description: 'Minimum leader move in percent for lookback windows without their own threshold' },
+    lookbackWindows: {
+        type: 'windows',
+        maxItems: 6,
+        windowMs: { min: 1000, max: 600000 },
+        description: 'Leader moves are measured over each window: [{ windowMs, moveThreshold? }]'
+    },
+    lagWindowMs: { min: 1000, max: 3600000, description: 'Follow window after a leader event in ms' },
+    sigmaMultiplier: { min: 0, max: 10, description: 'Adaptive threshold = max(sigmaMultiplier × volatility scaled to the window, moveThreshold)' },
+    volatilityWindowMs: { min: 10000, max: 900000, integer: true, description: 'Time span of 1s bars used for volatility in ms' },
+    followerFloor: { min: 0, max: 10, description: 'Minimum follower move in percent to count as a response' }
+};
+
+const DEFAULT_PARAMETERS = {
+    moveThreshold: 1.5,
+    lookbackWindows: [
+        { windowMs: 5000, moveThreshold: 0.3 },
+        { windowMs: 30000, moveThreshold: 0.6 },
+        { windowMs: 120000, moveThreshold: 1.0 }
+    ],
+    lagWindowMs: 300000,
+    sigmaMultiplier: 2,
+    volatilityWindowMs: 300000,
+    followerFloor: 0.005
+};
+
+function defaultConfig() {
+    return { defaults: { ...DEFAULT_PARAMETERS }, assetClassOverrides: {}, coinOverrides: {} };
+}
+
+function validateWindows(value, spec, label, errors) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > spec.maxItems) {
+        errors.push(`${label} must be an array of 1 to ${spec.maxItems} windows`);
+        return;
+    }
+    value.forEach((window, i) => {
+        const windowLabel = `${label}[${i}]`;
+        if (!window || typeof window !== 'object' || Array.isArray(window)) {
+            errors.push(`${windowLabel} must be an object`);
+            return;
+        }
+        Object.keys(window).forEach(key => {
+            if (key !== 'windowMs' && key !== 'moveThreshold') errors.push(`${windowLabel}.${key} is not a window setting`);
+        });
+        if (!Number.isInteger(window.windowMs) || window.windowMs < spec.windowMs.min || window.windowMs > spec.windowMs.max) {
+            errors.push(`${windowLabel}.windowMs must be an integer between ${spec.windowMs.min} and ${spec.windowMs.max}`);
+        }
+        if (window.moveThreshold !== undefined) {
+            const threshold = PARAMETERS.moveThreshold;
+            if (typeof window.moveThreshold !== 'number' || !(window.moveThreshold >= threshold.min && window.moveThreshold <= threshold.max)) {
+                errors.push(`${windowLabel}.moveThreshold must be a number between ${threshold.min} and ${threshold.max}`);
+            }
+        }
+    });
+    const sizes = value.map(window => window && window.windowMs);
+    if (new Set(sizes).size !== sizes.length) errors.push(`${label} must not repeat a windowMs`);
+}
+
+function validateParameters(params, label, errors, { partial }) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push(`${label} must be an object`);
+        return;
+    }
+    Object.keys(params).forEach(key => {
+        const spec = PARAMETERS[key];
+        const value = params[key];
+        if (!spec) {
+            errors.push(`${label}.${key} is not a detection parameter`);
+        } else if (spec.type === 'windows') {
+            validateWindows(value, spec, `${label}.${key}`, errors);
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+            errors.push(`${label}.${key} must be a number between ${spec.min} and ${spec.max}`);
+        } else if (spec.integer && !Number.isInteger(value)) {
+            errors.push(`${label}.${key} must be an integer`);
+        }
+    });
+    if (!partial) {
+        Object.keys(PARAMETERS).forEach(key => {
+            if (!(key in params)) errors.push(`${label}.${key} is required`);
+        });
+    }
+}
+
+// Returns a list of error messages; empty when the config is valid
+function validateDetectionConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object') return ['Config must be an object'];
+
+    Object.keys(config).forEach(key => {
+        if (!['defaults', 'assetClassOverrides', 'coinOverrides'].includes(key)) {
+            errors.push(`Unknown section "${key}"`);
+        }
+    });
+
+    validateParameters(config.defaults, 'defaults', errors, { partial: false });
+    ['assetClassOverrides', 'coinOverrides'].forEach(section => {
+        const overrides = config[section] || {};
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            errors.push(`${section} must be an object`);
+            return;
+        }
+        Object.keys(overrides).forEach(name => {
+            validateParameters(overrides[name], `${section}.${name}`, errors, { partial: true });
+        });
+    });
+    return errors;
+}
+
+function normalizeConfig(config) {
+    return {
+        defaults: { ...config.defaults },
+        assetClassOverrides: { ...(config.assetClassOverrides || {}) },
+        coinOverrides: { ...(config.coinOverrides || {}) }
+    };
+}
+
+// Key order doesn't change the id
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+            acc[key] = canonicalize(value[key]);
+            return acc;
+        }, {});
+    }
+    return value;
+}
+
+function getParameterSetId(config) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(canonicalize(config)))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+function resolveParameters(config, coin, assetClass) {
+    const params = {
+        ...config.defaults,
+        ...(assetClass && config.assetClassOverrides[assetClass]),
+        ...config.coinOverrides[coin]
+    };
+    // Shortest window first, with each window's threshold filled in
+    params.lookbackWindows = params.lookbackWindows
+        .map(window => ({
+            windowMs: window.windowMs,
+            moveThreshold: window.moveThreshold !== undefined ? window.moveThreshold : params.moveThreshold
+        }))
+        .sort((a, b) => a.windowMs - b.windowMs);
+    return params;
+}
+
+function loadDetectionConfig(filePath) {
+    if (!fs.existsSync(filePath)) return defaultConfig();
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = validateDetectionConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`${filePath}: ${errors.join('; ')}`);
+    }
+    return normalizeConfig(config);
+}
+
+function saveDetectionConfig(filePath, config) {
+    const tempFilePath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempFilePath, JSON.stringify(config, null, 4) + '\n');
+    fs.renameSync(tempFilePath, filePath);
+}
+
+module.exports = {
+    PARAMETERS,
+    DEFAULT_PARAMETERS,
+    defaultConfig,
+    validateDetectionConfig,
+    normalizeConfig,
+    getParameterSetId,
+    resolveParameters,
+    loadDetectionConfig,
+    saveDetectionConfig
+};
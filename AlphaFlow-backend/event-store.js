@@ -0,0 +1,180 @@
+// event-store.js
+//
+// Append-only audit trail of leader events and the follower responses they produced.
+// Each closed event is written as one JSON line to events_YYYY-MM-DD.ndjson (UTC day of
+// the event timestamp) and can be queried back, newest first, with filters and cursor
+// pagination.
+//
+// Files are read backwards in chunks, so a page only reads the lines it goes through.
+// Cursors are opaque base64url strings encoding the file day and the byte offset where
+// the next record ends. Pages walk backwards from there, so paging never skips or repeats
+// events even while new ones are appended.
+
+const fs = require('fs');
+const path = require('path');
+
+const EVENT_FILE_PATTERN = /^events_(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function encodeCursor(day, offset) {
+    return Buffer.from(`${day}@${offset}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const match = Buffer.from(cursor, 'base64url').toString().match(/^(\d{4}-\d{2}-\d{2})@(\d+)$/);
+    return match ? { day: match[1], offset: parseInt(match[2]) } : null;
+}
+
+// Yields the non-empty lines of a file that end at or before byte `end` (default: the
+// end of the file), last first, as { line, end } with `end` the byte offset after the line
+async function* readLinesBackward(filePath, end) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        let position = Math.min(end === undefined ? Infinity : end, (await handle.stat()).size);
+        let tail = Buffer.alloc(0); // Start of the line that continues into the bytes already read
+        while (position > 0) {
+            const size = Math.min(READ_CHUNK_BYTES, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            await handle.read(chunk, 0, size, position);
+
+            const buffer = Buffer.concat([chunk, tail]);
+            let lineEnd = buffer.length;
+            for (let i = buffer.length - 1; i >= 0; i--) {
+                if (buffer[i] !== 0x0a) continue;
+                if (i + 1 < lineEnd) yield { line: buffer.toString('utf8', i + 1, lineEnd), end: position + lineEnd };
+                lineEnd = i;
+            }
+            tail = buffer.subarray(0, lineEnd);
+        }
+        if (tail.length > 0) yield { line: tail.toString('utf8'), end: tail.length };
+    } finally {
+        await handle.close();
+    }
+}
+
+function matchesFilters(event, filters) {
+    if (filters.leader && event.leader !== filters.leader) return false;
+    if (filters.direction && event.direction !== filters.direction) return false;
+    if (filters.window && event.window !== filters.window) return false;
+    // Events written before detection tracks existed are raw
+    if (filters.track && (event.track || 'raw') !== filters.track) return false;
+    if (filters.from !== undefined && event.timestamp < filters.from) return false;
+    if (filters.to !== undefined && event.timestamp > filters.to) return false;
+    if (filters.minMove !== undefined && Math.abs(event.changePercent) < filters.minMove) return false;
+    if (filters.follower) {
+        const responded = event.followersResponded && event.followersResponded[filters.follower];
+        const diverged = event.divergences && event.divergences[filters.follower];
+        if (!responded && !diverged) return false;
+    }
+    return true;
+}
+
+function createEventStore({ dir, retentionDays = 30 }) {
+    let currentDay = null;
+    let stream = null;
+    const status = { dir, retentionDays, eventsWritten: 0, lastError: null };
+
+    function openStream(day) {
+        if (stream) stream.end();
+        fs.mkdirSync(dir, { recursive: true });
+        stream = fs.createWriteStream(path.join(dir, `events_${day}.ndjson`), { flags: 'a' });
+        stream.on('error', (error) => {
+            status.lastError = error.message;
+            console.error('Event store write error:', error);
+        });
+        currentDay = day;
+    }
+
+    function append(event) {
+        const day = dayKey(event.timestamp);
+        if (day !== currentDay) openStream(day);
+        stream.write(JSON.stringify(event) + '\n');
+        status.eventsWritten++;
+    }
+
+    function listDays() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .map(file => file.match(EVENT_FILE_PATTERN))
+            .filter(Boolean)
+            .map(match => match[1])
+            .sort();
+    }
+
+    // filters: { leader, follower, direction, window, track, from, to, minMove }
+    async function query(filters, { limit = 50, cursor } = {}) {
+        const start = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !start) throw new Error('Invalid cursor');
+
+        // Events are filed by their own day, so the time range bounds which files to open
+        const fromDay = filters.from !== undefined ? dayKey(filters.from) : null;
+        const toDay = filters.to !== undefined ? dayKey(filters.to) : null;
+        const days = listDays().filter(day =>
+            (!fromDay || day >= fromDay) &&
+            (!toDay || day <= toDay) &&
+            (!start || day <= start.day)
+        ).reverse();
+
+        const events = [];
+        for (const day of days) {
+            const end = start && day === start.day ? start.offset : undefined;
+            for await (const { line, end: lineEnd } of readLinesBackward(path.join(dir, `events_${day}.ndjson`), end)) {
+                if (!line.trim()) continue;
+
+                if (events.length === limit) {
+                    return { events, nextCursor: encodeCursor(day, lineEnd) };
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (error) {
+                    continue; // A partially written last line
+                }
+                if (matchesFilters(event, filters)) events.push(event);
+            }
+        }
+
+        return { events, nextCursor: null };
+    }
+
+    function cleanup(now = Date.now()) {
+        const cutoff = dayKey(now - retentionDays * DAY_MS);
+        listDays().forEach(day => {
+            if (day < cutoff) {
+                fs.unlinkSync(path.join(dir, `events_${day}.ndjson`));
+                console.log(`Deleted old event file: events_${day}.ndjson`);
+            }
+        });
+    }
+
+    function close(callback) {
+        if (!stream) {
+            if (callback) callback();
+            return;
+        }
+        const closing = stream;
+        stream = null;
+        currentDay = null;
+        if (callback) closing.once('finish', callback);
+        closing.end();
+    }
+
+    return {
+        append,
+        query,
+        cleanup,
+        close,
+        getStatus: () => ({ ...status })
+    };
+}
+
+module.exports = {
+    createEventStore
+};
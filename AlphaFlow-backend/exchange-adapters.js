@@ -0,0 +1,182 @@
+// exchange-adapters.js
+//
+// Each adapter knows how to subscribe to one venue's ticker or trade feed and how to turn
+// that venue's raw messages into normalized ticks. The causality engine only ever
+// sees the normalized shape:
+//
+//   {
+//       exchange,      // adapter name, e.g. 'coinbase'
+//       productId,     // canonical product id, e.g. 'BTC-USD'
+//       price,         // last trade price
+//       size,          // last trade size (null if the venue doesn't send it)
+//       bestBid,       // null if unavailable
+//       bestAsk,       // null if unavailable
+//       sequence,      // venue sequence / trade id (null if unavailable)
+//       exchangeTime,  // venue timestamp in ms (null if unavailable)
+//       receiveTime    // local receive time in ms
+//   }
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+function toTime(value) {
+    if (value === undefined || value === null) return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+// Canonical ids are BASE-QUOTE, e.g. 'BTC-USD'
+function splitProduct(productId) {
+    const [base, quote] = productId.split('-');
+    return { base, quote };
+}
+
+const coinbase = {
+    name: 'coinbase',
+    url: 'wss://ws-feed.exchange.coinbase.com',
+
+    subscribeMessages(products) {
+        return [{ type: 'subscribe', product_ids: products, channels: ['ticker'] }];
+    },
+
+    unsubscribeMessages(products) {
+        return [{ type: 'unsubscribe', product_ids: products, channels: ['ticker'] }];
+    },
+
+    parseMessage(message, receiveTime) {
+        if (message.type !== 'ticker') return [];
+        return [{
+            exchange: 'coinbase',
+            productId: message.product_id,
+            price: toNumber(message.price),
+            size: toNumber(message.last_size),
+            bestBid: toNumber(message.best_bid),
+            bestAsk: toNumber(message.best_ask),
+            sequence: toNumber(message.sequence),
+            exchangeTime: toTime(message.time),
+            receiveTime
+        }];
+    }
+};
+
+// Binance has no USD books, so USD products map onto a stablecoin quote
+const BINANCE_QUOTE = process.env.BINANCE_QUOTE || 'USDT';
+
+// The trade stream is sent per trade, like Coinbase's ticker; @ticker is throttled to
+// about one update a second, which would hide sub-second leads between venues
+function binanceStream(productId) {
+    return `${binance.toVenueSymbol(productId).toLowerCase()}@trade`;
+}
+
+const binance = {
+    name: 'binance',
+    url: 'wss://stream.binance.com:9443/ws',
+
+    toVenueSymbol(productId) {
+        const { base, quote } = splitProduct(productId);
+        return `${base}${quote === 'USD' ? BINANCE_QUOTE : quote}`;
+    },
+
+    fromVenueSymbol(symbol) {
+        if (symbol.endsWith(BINANCE_QUOTE)) {
+            return `${symbol.slice(0, -BINANCE_QUOTE.length)}-USD`;
+        }
+        return null;
+    },
+
+    subscribeMessages(products) {
+        return [{
+            method: 'SUBSCRIBE',
+            params: products.map(binanceStream),
+            id: Date.now()
+        }];
+    },
+
+    unsubscribeMessages(products) {
+        return [{
+            method: 'UNSUBSCRIBE',
+            params: products.map(binanceStream),
+            id: Date.now()
+        }];
+    },
+
+    parseMessage(message, receiveTime) {
+        if (message.e !== 'trade') return [];
+        const productId = binance.fromVenueSymbol(message.s);
+        if (!productId) return [];
+        // Trades carry no quotes
+        return [{
+            exchange: 'binance',
+            productId,
+            price: toNumber(message.p),
+            size: toNumber(message.q),
+            bestBid: null,
+            bestAsk: null,
+            sequence: toNumber(message.t),
+            exchangeTime: toTime(message.T),
+            receiveTime
+        }];
+    }
+};
+
+const kraken = {
+    name: 'kraken',
+    url: 'wss://ws.kraken.com/v2',
+
+    toVenueSymbol(productId) {
+        const { base, quote } = splitProduct(productId);
+        return `${base}/${quote}`;
+    },
+
+    fromVenueSymbol(symbol) {
+        return symbol.replace('/', '-');
+    },
+
+    subscribeMessages(products) {
+        return [{
+            method: 'subscribe',
+            params: { channel: 'ticker', symbol: products.map(kraken.toVenueSymbol) }
+        }];
+    },
+
+    unsubscribeMessages(products) {
+        return [{
+            method: 'unsubscribe',
+            params: { channel: 'ticker', symbol: products.map(kraken.toVenueSymbol) }
+        }];
+    },
+
+    parseMessage(message, receiveTime) {
+        if (message.channel !== 'ticker' || !Array.isArray(message.data)) return [];
+        // The v2 ticker carries no trade size or sequence; timestamp is only sent by newer API versions
+        return message.data.map(item => ({
+            exchange: 'kraken',
+            productId: kraken.fromVenueSymbol(item.symbol),
+            price: toNumber(item.last),
+            size: null,
+            bestBid: toNumber(item.bid),
+            bestAsk: toNumber(item.ask),
+            sequence: null,
+            exchangeTime: toTime(item.timestamp),
+            receiveTime
+        }));
+    }
+};
+
+const ADAPTERS = { coinbase, binance, kraken };
+
+function getAdapter(name) {
+    const adapter = ADAPTERS[name.trim().toLowerCase()];
+    if (!adapter) {
+        throw new Error(`Unknown exchange feed "${name}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return adapter;
+}
+
+module.exports = {
+    ADAPTERS,
+    getAdapter
+};
@@ -0,0 +1,93 @@
+// feed-latency.js
+//
+// Tracks receive-time minus exchange-time per feed so we can judge how far sub-second
+// lag measurements can be trusted. Keeps a ring buffer of recent samples per feed and
+// derives the stats on demand.
+//
+// The observed latency is (network + processing delay) + (local clock - exchange clock).
+// The minimum over recent samples is the best available estimate of clock skew: it is
+// the latency of the fastest message, where network delay is closest to zero. A negative
+// minimum means the exchange clock runs ahead of ours.
+
+const SAMPLE_LIMIT = 1000;
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+    return sorted[index];
+}
+
+function createLatencyTracker() {
+    const feeds = {};
+
+    function getFeed(name) {
+        if (!feeds[name]) {
+            feeds[name] = {
+                samples: [],
+                next: 0,
+                ticks: 0,
+                missingExchangeTime: 0,
+                lastLatency: null
+            };
+        }
+        return feeds[name];
+    }
+
+    function observe(tick) {
+        const feed = getFeed(tick.exchange);
+        feed.ticks++;
+
+        if (tick.exchangeTime === null || tick.exchangeTime === undefined) {
+            feed.missingExchangeTime++;
+            return;
+        }
+
+        const latency = tick.receiveTime - tick.exchangeTime;
+        feed.lastLatency = latency;
+        if (feed.samples.length < SAMPLE_LIMIT) {
+            feed.samples.push(latency);
+        } else {
+            feed.samples[feed.next] = latency;
+            feed.next = (feed.next + 1) % SAMPLE_LIMIT;
+        }
+    }
+
+    function getStats() {
+        const stats = {};
+
+        Object.keys(feeds).forEach(name => {
+            const feed = feeds[name];
+            const sorted = feed.samples.slice().sort((a, b) => a - b);
+            const n = sorted.length;
+            const mean = n > 0 ? sorted.reduce((a, b) => a + b, 0) / n : null;
+            const jitter = n > 1 ?
+                Math.sqrt(sorted.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / (n - 1)) : null;
+
+            stats[name] = {
+                ticks: feed.ticks,
+                missingExchangeTime: feed.missingExchangeTime,
+                sampleSize: n,
+                lastLatencyMs: feed.lastLatency,
+                meanLatencyMs: mean,
+                jitterMs: jitter,
+                p50LatencyMs: percentile(sorted, 0.5),
+                p95LatencyMs: percentile(sorted, 0.95),
+                p99LatencyMs: percentile(sorted, 0.99),
+                maxLatencyMs: n > 0 ? sorted[n - 1] : null,
+                estimatedClockSkewMs: n > 0 ? sorted[0] : null,
+                negativeLatencySamples: sorted.filter(v => v < 0).length
+            };
+        });
+
+        return stats;
+    }
+
+    return {
+        observe,
+        getStats
+    };
+}
+
+module.exports = {
+    createLatencyTracker
+};
@@ -0,0 +1,200 @@
+// market-factor.js
+//
+// Strips the market-wide component out of each coin's returns so leadership can be
+// measured on what's left. The factor is a weighted sum of coin log returns:
+//
+//   index: fixed weights, e.g. BTC-USD:0.6,ETH-USD:0.4 (MARKET_FACTOR_WEIGHTS)
+//   pca:   the first principal component of the bar-return covariance across all coins,
+//          re-estimated periodically and scaled so its weights sum to 1
+//
+// Each coin's beta to the factor is estimated from the same bars. A coin's residual is an
+// index level starting at 100 that accumulates its log return net of beta × the factor's
+// return since that coin's previous tick, so re-estimating beta never makes it jump.
+
+const { resampleToBars, logReturns } = require('./causality-estimators');
+
+const MODES = ['index', 'pca'];
+const DEFAULT_INDEX_WEIGHTS = { 'BTC-USD': 0.6, 'ETH-USD': 0.4 };
+const MIN_BETA_OBSERVATIONS = 30;
+
+// 'BTC-USD:0.6,ETH-USD:0.4' -> { 'BTC-USD': 0.6, 'ETH-USD': 0.4 }
+function parseWeights(value) {
+    if (!value) return { ...DEFAULT_INDEX_WEIGHTS };
+    const weights = {};
+    value.split(',').forEach(entry => {
+        const [coin, weight] = entry.split(':').map(part => part.trim());
+        const parsed = parseFloat(weight);
+        if (!coin || !Number.isFinite(parsed) || parsed <= 0) {
+            throw new Error(`Invalid market factor weight "${entry}" (expected COIN:weight)`);
+        }
+        weights[coin] = parsed;
+    });
+    const total = Object.values(weights).reduce((a, b) => a + b, 0);
+    Object.keys(weights).forEach(coin => { weights[coin] /= total; });
+    return weights;
+}
+
+// Returns observed in every coin's series, as rows of one return per coin
+function completeRows(returnsByCoin, coins) {
+    const rows = [];
+    const length = returnsByCoin[coins[0]].length;
+    for (let t = 0; t < length; t++) {
+        const row = coins.map(coin => returnsByCoin[coin][t]);
+        if (row.every(value => value !== null)) rows.push(row);
+    }
+    return rows;
+}
+
+// Leading eigenvector of the return covariance by power iteration
+function firstPrincipalComponent(rows) {
+    const k = rows[0].length;
+    const means = new Array(k).fill(0);
+    rows.forEach(row => row.forEach((value, i) => { means[i] += value / rows.length; }));
+
+    const covariance = Array.from({ length: k }, () => new Array(k).fill(0));
+    rows.forEach(row => {
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                covariance[i][j] += (row[i] - means[i]) * (row[j] - means[j]) / (rows.length - 1);
+            }
+        }
+    });
+
+    let vector = new Array(k).fill(1 / Math.sqrt(k));
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const next = covariance.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+        const norm = Math.sqrt(next.reduce((sum, value) => sum + value * value, 0));
+        if (norm === 0) return null;
+        vector = next.map(value => value / norm);
+    }
+    return vector;
+}
+
+function estimateBeta(returns, factorReturns) {
+    const pairs = [];
+    returns.forEach((value, t) => {
+        if (value !== null && factorReturns[t] !== null) pairs.push([value, factorReturns[t]]);
+    });
+    if (pairs.length < MIN_BETA_OBSERVATIONS) return null;
+
+    const meanY = pairs.reduce((sum, p) => sum + p[0], 0) / pairs.length;
+    const meanX = pairs.reduce((sum, p) => sum + p[1], 0) / pairs.length;
+    let covariance = 0;
+    let variance = 0;
+    pairs.forEach(([y, x]) => {
+        covariance += (y - meanY) * (x - meanX);
+        variance += (x - meanX) * (x - meanX);
+    });
+    return variance > 0 ? covariance / variance : null;
+}
+
+// options: { mode, weights, resolutionMs, barCount }
+function createMarketFactor({ mode, weights, resolutionMs = 5000, barCount = 720 }) {
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown market factor mode "${mode}". Available: ${MODES.join(', ')}`);
+    }
+
+    const state = {
+        mode,
+        weights: mode === 'index' ? { ...weights } : {},
+        betas: {},
+        factorLevel: 0,        // Cumulative factor log return
+        lastLogPrice: {},      // coin -> log price at its previous tick
+        factorAtLastTick: {},  // coin -> factorLevel at its previous tick
+        residualLevel: {},     // coin -> cumulative residual log return
+        lastEstimate: null
+    };
+
+    // Feeds one tick and returns the coin's residual price
+    function update(coin, price) {
+        const logPrice = Math.log(price);
+        const previous = state.lastLogPrice[coin];
+        state.lastLogPrice[coin] = logPrice;
+
+        if (previous === undefined) {
+            state.factorAtLastTick[coin] = state.factorLevel;
+            state.residualLevel[coin] = 0;
+            return 100;
+        }
+
+        const coinReturn = logPrice - previous;
+        state.factorLevel += (state.weights[coin] || 0) * coinReturn;
+        const factorReturn = state.factorLevel - state.factorAtLastTick[coin];
+        state.factorAtLastTick[coin] = state.factorLevel;
+
+        // Until there's enough data to estimate beta, assume the coin moves with the market
+        const beta = state.betas[coin] !== undefined ? state.betas[coin] : 1;
+        state.residualLevel[coin] += coinReturn - beta * factorReturn;
+        return 100 * Math.exp(state.residualLevel[coin]);
+    }
+
+    // Re-estimates PCA weights (in pca mode) and every coin's beta from recent bar closes.
+    // histories: coin -> [{ time, price }]
+    function estimate(histories, coins, now) {
+        const returnsByCoin = {};
+        coins.forEach(coin => {
+            returnsByCoin[coin] = logReturns(resampleToBars(histories[coin] || [], resolutionMs, now, barCount));
+        });
+
+        if (state.mode === 'pca') {
+            // Coins without enough bars yet (new listings, quiet feeds) are left out
+            const eligible = coins.filter(coin =>
+                returnsByCoin[coin].filter(value => value !== null).length >= MIN_BETA_OBSERVATIONS);
+            const rows = eligible.length > 1 ? completeRows(returnsByCoin, eligible) : [];
+            const component = rows.length > eligible.length ? firstPrincipalComponent(rows) : null;
+            const total = component ? component.reduce((a, b) => a + b, 0) : 0;
+            if (total !== 0) {
+                state.weights = {};
+                eligible.forEach((coin, i) => { state.weights[coin] = component[i] / total; });
+            }
+        }
+
+        const factorReturns = new Array(barCount).fill(null).map((_, t) => {
+            let sum = 0;
+            for (const coin of Object.keys(state.weights)) {
+                const value = returnsByCoin[coin] && returnsByCoin[coin][t];
+                if (value === null || value === undefined) return null;
+                sum += state.weights[coin] * value;
+            }
+            return sum;
+        });
+
+        coins.forEach(coin => {
+            const beta = estimateBeta(returnsByCoin[coin], factorReturns);
+            if (beta !== null) state.betas[coin] = beta;
+        });
+        state.lastEstimate = now;
+    }
+
+    function removeCoin(coin) {
+        delete state.lastLogPrice[coin];
+        delete state.factorAtLastTick[coin];
+        delete state.residualLevel[coin];
+        delete state.betas[coin];
+        if (state.mode === 'pca') delete state.weights[coin];
+    }
+
+    function getStatus() {
+        return {
+            mode: state.mode,
+            weights: { ...state.weights },
+            betas: { ...state.betas },
+            resolutionMs,
+            barCount,
+            lastEstimate: state.lastEstimate
+        };
+    }
+
+    return {
+        update,
+        estimate,
+        removeCoin,
+        getStatus
+    };
+}
+
+module.exports = {
+    MODES,
+    parseWeights,
+    createMarketFactor
+};
@@ -0,0 +1,150 @@
+// online-stats.js
+//
+// Constant-memory streaming estimators. All state lives in plain objects so it can be
+// written to and restored from JSON snapshots as-is.
+//
+//   EW stats   exponentially weighted mean/variance with a time-based half-life
+//   P²         streaming quantile (Jain & Chlamtac, 1985), five markers per quantile
+//   Reservoir  fixed-size uniform sample (Algorithm R) with a seeded PRNG so replays
+//              produce identical reservoirs
+
+// ===== Exponentially weighted mean / variance =====
+
+function createEwStats() {
+    return { mean: 0, variance: 0, weight: 0, lastTime: null };
+}
+
+function decayFactor(lastTime, time, halfLifeMs) {
+    if (lastTime === null || !(halfLifeMs > 0)) return 1;
+    return Math.pow(0.5, Math.max(0, time - lastTime) / halfLifeMs);
+}
+
+function updateEwStats(state, value, time, halfLifeMs) {
+    state.weight = state.weight * decayFactor(state.lastTime, time, halfLifeMs) + 1;
+    const alpha = 1 / state.weight;
+    const delta = value - state.mean;
+
+    state.mean += alpha * delta;
+    state.variance = (1 - alpha) * (state.variance + alpha * delta * delta);
+    state.lastTime = state.lastTime === null ? time : Math.max(state.lastTime, time);
+}
+
+// ===== P² streaming quantile =====
+
+function createQuantile(p) {
+    return { p, count: 0, q: [], n: [], np: [], dn: [] };
+}
+
+function updateQuantile(state, x) {
+    const { p, q, n, np, dn } = state;
+
+    if (state.count < 5) {
+        q.push(x);
+        state.count++;
+        if (state.count === 5) {
+            q.sort((a, b) => a - b);
+            state.n = [1, 2, 3, 4, 5];
+            state.np = [1, 1 + 2 * p, 1 + 4 * p, 3 + 2 * p, 5];
+            state.dn = [0, p / 2, p, (1 + p) / 2, 1];
+        }
+        return;
+    }
+    state.count++;
+
+    let k;
+    if (x < q[0]) {
+        q[0] = x;
+        k = 0;
+    } else if (x >= q[4]) {
+        q[4] = x;
+        k = 3;
+    } else {
+        k = 0;
+        while (k < 3 && x >= q[k + 1]) k++;
+    }
+
+    for (let i = k + 1; i < 5; i++) n[i]++;
+    for (let i = 0; i < 5; i++) np[i] += dn[i];
+
+    // Adjust the three middle markers
+    for (let i = 1; i <= 3; i++) {
+        const d = np[i] - n[i];
+        if ((d >= 1 && n[i + 1] - n[i] > 1) || (d <= -1 && n[i - 1] - n[i] < -1)) {
+            const step = Math.sign(d);
+            const parabolic = q[i] + step / (n[i + 1] - n[i - 1]) * (
+                (n[i] - n[i - 1] + step) * (q[i + 1] - q[i]) / (n[i + 1] - n[i]) +
+                (n[i + 1] - n[i] - step) * (q[i] - q[i - 1]) / (n[i] - n[i - 1])
+            );
+            if (q[i - 1] < parabolic && parabolic < q[i + 1]) {
+                q[i] = parabolic;
+            } else {
+                q[i] += step * (q[i + step] - q[i]) / (n[i + step] - n[i]);
+            }
+            n[i] += step;
+        }
+    }
+}
+
+function getQuantile(state) {
+    if (state.count === 0) return null;
+    if (state.count < 5) {
+        const sorted = state.q.slice().sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(state.p * sorted.length))];
+    }
+    return state.q[2];
+}
+
+// ===== Reservoir sample =====
+
+// mulberry32: tiny deterministic PRNG, state is a single 32-bit integer
+function nextRandom(state) {
+    state.seed = (state.seed + 0x6D2B79F5) | 0;
+    let t = state.seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function createReservoir(size, seed = 1) {
+    return { size, seen: 0, items: [], seed };
+}
+
+function updateReservoir(state, value) {
+    state.seen++;
+    if (state.items.length < state.size) {
+        state.items.push(value);
+        return;
+    }
+    const index = Math.floor(nextRandom(state) * state.seen);
+    if (index < state.size) state.items[index] = value;
+}
+
+// Equal-width histogram over the reservoir's range
+function reservoirHistogram(state, bins = 10) {
+    if (state.items.length === 0) return [];
+    const min = Math.min(...state.items);
+    const max = Math.max(...state.items);
+    const width = (max - min) / bins || 1;
+    const counts = new Array(bins).fill(0);
+
+    state.items.forEach(v => {
+        counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+    });
+    return counts.map((count, i) => ({
+        from: min + i * width,
+        to: min + (i + 1) * width,
+        count
+    }));
+}
+
+module.exports = {
+    createEwStats,
+    decayFactor,
+    updateEwStats,
+    createQuantile,
+    updateQuantile,
+    getQuantile,
+    createReservoir,
+    updateReservoir,
+    reservoirHistogram
+};
@@ -0,0 +1,284 @@
+// openapi.js
+//
+// Route registry for the REST API. Each route is declared together with its parameters
+// and response schema, so the OpenAPI document served at /api/openapi.json is generated
+// from the same declarations that run the server:
+//
+//   api.get('/api/market/candles/:coin', {
+//       tag: 'market',
+//       summary: 'OHLCV candles for one coin',
+//       params: { coin: { type: 'string', example: 'BTC-USD' } },
+//       query: { interval: { type: 'string', enum: ['1s', '1m'], default: '1m' } },
+//       response: ref('CandlesData'),
+//       errors: [400, 404]
+//   }, handler);
+//
+// Every route is served at /api/v1/... and, as a deprecated alias, at the path it was
+// declared with. Handlers reply as before with res.json({ success, ...fields }); under
+// /api/v1 envelopeResponses turns that into { success, data, error: { code, message } },
+// so `response` describes `data`. Aliases keep the old shape and add a Deprecation
+// header. Routes declared with unversioned: true (the spec itself) are only served as is.
+//
+// Query parameters are checked against their schema (type, enum, minimum, maximum)
+// before the handler runs. Under /api/v1 a bad value is answered with 400 and undeclared
+// parameters are rejected too; aliases fall back to the default for a bad value and
+// ignore undeclared parameters, as they always did. The parsed values, with defaults
+// filled in, are on req.queryValues.
+//
+// auth is 'apiKey' (the default), 'admin' (x-api-key plus x-admin-key) or 'none'.
+
+const API_VERSION = 'v1';
+
+// Accepted on every route: the API key (see authenticateApiKey)
+const GLOBAL_QUERY_PARAMS = ['api_key'];
+
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'unavailable'
+};
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Invalid parameters',
+    401: 'Missing, unknown or revoked API key',
+    403: 'Outside the key\'s tier, or not an admin',
+    404: 'Not found',
+    409: 'Conflict',
+    429: 'Rate limit exceeded',
+    500: 'Internal error',
+    503: 'Service disabled'
+};
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+// Returns { value } or { error } for one raw query string value
+function parseQueryValue(name, schema, raw) {
+    if (raw === undefined || raw === '') {
+        if (schema.required) return { error: `${name} is required` };
+        return { value: schema.default };
+    }
+    if (typeof raw !== 'string') return { error: `${name} must be given once` };
+
+    let value = raw;
+    if (schema.type === 'integer') {
+        if (!/^-?\d+$/.test(raw)) return { error: `${name} must be an integer` };
+        value = parseInt(raw, 10);
+    } else if (schema.type === 'number') {
+        value = Number(raw);
+        if (!Number.isFinite(value)) return { error: `${name} must be a number` };
+    } else if (schema.type === 'boolean') {
+        if (raw !== 'true' && raw !== 'false') return { error: `${name} must be true or false` };
+        value = raw === 'true';
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return { error: `${name} must be one of: ${schema.enum.join(', ')}` };
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        return { error: `${name} must be at least ${schema.minimum}` };
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+        return { error: `${name} must be at most ${schema.maximum}` };
+    }
+    return { value };
+}
+
+function createQueryValidator(query, { strict }) {
+    return (req, res, next) => {
+        if (strict) {
+            const unknown = Object.keys(req.query)
+                .find(name => !(name in query) && !GLOBAL_QUERY_PARAMS.includes(name));
+            if (unknown) {
+                return res.status(400).json({ success: false, error: `Unknown query parameter "${unknown}"` });
+            }
+        }
+        
+        const values = {};
+        for (const name of Object.keys(query)) {
+            let result = parseQueryValue(name, query[name], req.query[name]);
+            if (result.error && !strict) result = parseQueryValue(name, query[name], undefined);
+            if (result.error) {
+                return res.status(400).json({ success: false, error: result.error });
+            }
+            values[name] = result.value;
+        }
+        req.queryValues = values;
+        next();
+    };
+}
+
+// Mounted on /api/v1 ahead of authentication, so auth errors get the envelope too
+function envelopeResponses(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400) {
+            const { success, error, ...details } = body;
+            return json({
+                success: false,
+                data: null,
+                error: { code: ERROR_CODES[res.statusCode] || 'error', message: error, ...details }
+            });
+        }
+        // /api/health predates the success flag
+        const { success, ...data } = body;
+        return json({ success: true, data: success === true ? data : body, error: null });
+    };
+    next();
+}
+
+function getVersionedPath(routePath) {
+    return routePath.replace(/^\/api/, `/api/${API_VERSION}`);
+}
+
+function markDeprecated(req, res, next) {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${getVersionedPath(req.path)}>; rel="successor-version"`);
+    next();
+}
+
+// Express '/pair/:leader/:follower' -> OpenAPI '/pair/{leader}/{follower}'
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:([A-Za-z_]\w*)/g, '{$1}');
+}
+
+function getPathParamNames(expressPath) {
+    return (expressPath.match(/:([A-Za-z_]\w*)/g) || []).map(name => name.slice(1));
+}
+
+// Our parameter schemas carry description, example and required next to the JSON schema
+function toParameter(name, location, declared) {
+    const { description, example, required, ...schema } = declared;
+    const parameter = { name: name, in: location, required: location === 'path' || Boolean(required), schema: schema };
+    if (description) parameter.description = description;
+    if (example !== undefined) parameter.example = example;
+    return parameter;
+}
+
+function buildOperation(route, getScope) {
+    const spec = route.spec;
+    const auth = spec.auth || 'apiKey';
+    const status = String(spec.status || 200);
+    const contentType = spec.contentType || 'application/json';
+    const params = spec.params || {};
+    const query = spec.query || {};
+
+    const operation = {
+        tags: [spec.tag],
+        summary: spec.summary,
+        operationId: `${route.method}${route.path.replace(/^\/api|:/g, '').replace(/[/.-](\w)/g, (m, c) => c.toUpperCase())}`
+    };
+    if (spec.description) operation.description = spec.description;
+
+    const parameters = [
+        ...getPathParamNames(route.path).map(name => toParameter(name, 'path', params[name] || { type: 'string' })),
+        ...Object.keys(query).map(name => toParameter(name, 'query', query[name]))
+    ];
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    if (spec.body) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+    }
+
+    const enveloped = !spec.unversioned && contentType === 'application/json';
+    const schema = enveloped ?
+        {
+            type: 'object',
+            required: ['success', 'data', 'error'],
+            properties: {
+                success: { type: 'boolean', example: true },
+                data: spec.response,
+                error: { type: 'object', nullable: true, example: null }
+            }
+        } :
+        spec.response;
+    operation.responses = {
+        [status]: { description: spec.responseDescription || 'OK', content: { [contentType]: { schema: schema } } }
+    };
+    const errors = new Set(spec.errors || []);
+    if (auth !== 'none') {
+        [401, 429].forEach(code => errors.add(code));
+        if (auth === 'admin' || getScope(route.path)) errors.add(403);
+    }
+    [...errors].sort().forEach(code => {
+        operation.responses[code] = {
+            description: ERROR_DESCRIPTIONS[code] || 'Error',
+            content: { 'application/json': { schema: ref('Error') } }
+        };
+    });
+
+    if (auth === 'none') {
+        operation.security = [];
+    } else if (auth === 'admin') {
+        operation.security = [{ ApiKeyHeader: [], AdminKey: [] }];
+    }
+    const scope = getScope(route.path);
+    if (scope) operation['x-scope'] = scope;
+    return operation;
+}
+
+// options: { getScope(path) -> scope name or null, for paths relative to /api }
+function createApiRegistry(app, { getScope = () => null } = {}) {
+    const routes = [];
+
+    function register(method, routePath, spec, handlers) {
+        routes.push({ method, path: routePath, spec });
+        const query = spec.query || {};
+        if (spec.unversioned) {
+            app[method](routePath, createQueryValidator(query, { strict: false }), ...handlers);
+            return;
+        }
+        app[method](getVersionedPath(routePath), createQueryValidator(query, { strict: true }), ...handlers);
+        app[method](routePath, markDeprecated, createQueryValidator(query, { strict: false }), ...handlers);
+    }
+
+    // info: { title, version, description }, schemas: component schemas by name,
+    // tags: [{ name, description }]
+    function getDocument({ info, schemas, tags }) {
+        const paths = {};
+        routes.forEach(route => {
+            const openApiPath = toOpenApiPath(route.spec.unversioned ? route.path : getVersionedPath(route.path));
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][route.method] = buildOperation(route, apiPath => getScope(apiPath.replace(/^\/api/, '')));
+        });
+
+        return {
+            openapi: '3.0.3',
+            info: info,
+            tags: tags,
+            paths: paths,
+            components: {
+                schemas: schemas,
+                securitySchemes: {
+                    ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+                    ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+                    AdminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' }
+                }
+            },
+            security: [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }]
+        };
+    }
+
+    return {
+        get: (routePath, spec, ...handlers) => register('get', routePath, spec, handlers),
+        post: (routePath, spec, ...handlers) => register('post', routePath, spec, handlers),
+        put: (routePath, spec, ...handlers) => register('put', routePath, spec, handlers),
+        delete: (routePath, spec, ...handlers) => register('delete', routePath, spec, handlers),
+        getDocument
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    ERROR_CODES,
+    ref,
+    envelopeResponses,
+    parseQueryValue,
+    createApiRegistry
+};
@@ -0,0 +1,31 @@
+// pagination.js
+//
+// Cursor pagination for list endpoints whose items are computed in memory (pairs,
+// signals, ticks, ...). A cursor is an opaque base64url string holding the offset of the
+// next item, so a page can shift by a few items when the list changes between requests.
+// /api/events pages its append-only files with stable cursors instead (see event-store.js).
+
+function encodeCursor(offset) {
+    return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const match = Buffer.from(cursor, 'base64url').toString().match(/^offset:(\d+)$/);
+    return match ? parseInt(match[1]) : null;
+}
+
+// Returns { items, nextCursor }, or null when the cursor is invalid
+function paginate(items, { limit, cursor }) {
+    const offset = cursor ? decodeCursor(cursor) : 0;
+    if (offset === null) return null;
+
+    const end = offset + limit;
+    return {
+        items: items.slice(offset, end),
+        nextCursor: end < items.length ? encodeCursor(end) : null
+    };
+}
+
+module.exports = {
+    paginate
+};
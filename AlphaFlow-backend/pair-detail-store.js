@@ -0,0 +1,114 @@
+// pair-detail-store.js
+//
+// The bulky part of each causalityMatrix cell (pair-stats.js): its time buckets and lag /
+// magnitude reservoirs. These are kept out of the minute snapshots, whose size would
+// otherwise grow with coins² × buckets, and written one file per pair instead:
+//
+//   <dir>/<track>/<leader>__<follower>.json   { outcomes, buckets, lagReservoir, magnitudeReservoir }
+//
+// A pair's file is only rewritten when it has recorded outcomes since it was last written.
+
+const fs = require('fs');
+const path = require('path');
+
+const DETAIL_FIELDS = ['buckets', 'lagReservoir', 'magnitudeReservoir'];
+
+function getOutcomeCount(rel) {
+    return rel.successfulFollows + rel.missedFollows;
+}
+
+function isValidDetail(saved) {
+    return saved !== null && typeof saved === 'object' &&
+        saved.buckets !== null && typeof saved.buckets === 'object' &&
+        Object.values(saved.buckets).every(Array.isArray) &&
+        saved.lagReservoir && Array.isArray(saved.lagReservoir.items) &&
+        saved.magnitudeReservoir && Array.isArray(saved.magnitudeReservoir.items);
+}
+
+// A copy of the cell without its detail, for the snapshot
+function withoutDetail(rel) {
+    const summary = { ...rel };
+    DETAIL_FIELDS.forEach(field => { delete summary[field]; });
+    return summary;
+}
+
+function createPairDetailStore({ dir }) {
+    const written = new Map(); // 'track/leader>follower' -> outcome count when last written or loaded
+
+    function getFilePath(trackName, leader, follower) {
+        return path.join(dir, trackName, `${encodeURIComponent(leader)}__${encodeURIComponent(follower)}.json`);
+    }
+
+    // Writes the pairs of one track's matrix that changed; returns how many were written
+    function save(trackName, matrix) {
+        let count = 0;
+        Object.keys(matrix).forEach(leader => {
+            Object.keys(matrix[leader]).forEach(follower => {
+                const rel = matrix[leader][follower];
+                const key = `${trackName}/${leader}>${follower}`;
+                const outcomes = getOutcomeCount(rel);
+                if (outcomes === 0 || written.get(key) === outcomes) return;
+
+                const filePath = getFilePath(trackName, leader, follower);
+                const tempFilePath = `${filePath}.tmp`;
+                const detail = { outcomes: outcomes };
+                DETAIL_FIELDS.forEach(field => { detail[field] = rel[field]; });
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(tempFilePath, JSON.stringify(detail));
+                fs.renameSync(tempFilePath, filePath);
+                written.set(key, outcomes);
+                count++;
+            });
+        });
+        return count;
+    }
+
+    // Returns the saved detail of one pair, or null when there is none or it is unreadable
+    function load(trackName, leader, follower) {
+        const filePath = getFilePath(trackName, leader, follower);
+        if (!fs.existsSync(filePath)) return null;
+        try {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (!isValidDetail(saved)) return null;
+            written.set(`${trackName}/${leader}>${follower}`, saved.outcomes);
+            const detail = {};
+            DETAIL_FIELDS.forEach(field => { detail[field] = saved[field]; });
+            return detail;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Deletes the files of pairs involving a coin that is not in `coins`
+    function retainCoins(coins) {
+        if (!fs.existsSync(dir)) return;
+        const tracked = new Set(coins.map(coin => encodeURIComponent(coin)));
+        try {
+            fs.readdirSync(dir).forEach(trackName => {
+                const trackDir = path.join(dir, trackName);
+                if (!fs.statSync(trackDir).isDirectory()) return;
+                fs.readdirSync(trackDir).forEach(file => {
+                    const match = file.match(/^(.+)__(.+)\.json$/);
+                    if (match && tracked.has(match[1]) && tracked.has(match[2])) return;
+                    fs.unlinkSync(path.join(trackDir, file));
+                    if (match) {
+                        written.delete(`${trackName}/${decodeURIComponent(match[1])}>${decodeURIComponent(match[2])}`);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error deleting pair details:', error);
+        }
+    }
+
+    return {
+        save,
+        load,
+        retainCoins
+    };
+}
+
+module.exports = {
+    withoutDetail,
+    createPairDetailStore
+};
@@ -0,0 +1,157 @@
+// pair-stats.js
+//
+// Statistics for one causalityMatrix[leader][follower] cell, kept in constant memory.
+// Lag and magnitude use exponentially weighted estimators so the matrix tracks the
+// current regime; all-time follow/miss counts are kept alongside for significance tests.
+// Outcomes are also counted per market regime (see regime.js) of the leader event.
+
+const {
+    createEwStats,
+    decayFactor,
+    updateEwStats,
+    createQuantile,
+    updateQuantile,
+    getQuantile,
+    createReservoir,
+    updateReservoir,
+    reservoirHistogram
+} = require('./online-stats');
+const { createBucketSeries, addOutcome, summarizeBuckets } = require('./time-buckets');
+
+const HOUR = 60 * 60 * 1000;
+
+const PAIR_STATS_CONFIG = {
+    lagHalfLifeMs: parseFloat(process.env.LAG_HALF_LIFE_MS) || 6 * HOUR,
+    followRateHalfLifeMs: parseFloat(process.env.FOLLOW_RATE_HALF_LIFE_MS) || 24 * HOUR,
+    reservoirSize: parseInt(process.env.RESERVOIR_SIZE) || 256
+};
+
+// Stable per-pair seed so reservoir sampling is repeatable across replays
+function seedFor(key) {
+    let hash = 2166136261;
+    for (let i = 0; i < key.length; i++) {
+        hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+    }
+    return hash | 0;
+}
+
+function createPairStats(leader, follower) {
+    const seed = seedFor(`${leader}>${follower}`);
+    return {
+        successfulFollows: 0,
+        missedFollows: 0,
+        followRate: 0,
+        decayedFollows: 0,
+        decayedMisses: 0,
+        recentFollowRate: 0,
+        lastOutcomeTime: null,
+        sampleSize: 0,
+        avgLag: 0,
+        avgMagnitude: 0,
+        lagStats: createEwStats(),
+        magnitudeStats: createEwStats(),
+        lagMedian: createQuantile(0.5),
+        lagP90: createQuantile(0.9),
+        lagReservoir: createReservoir(PAIR_STATS_CONFIG.reservoirSize, seed),
+        magnitudeReservoir: createReservoir(PAIR_STATS_CONFIG.reservoirSize, seed ^ 0x5bd1e995),
+        buckets: createBucketSeries(),
+        regimes: {} // regime -> { follows, misses, lagSum, magnitudeSum }
+    };
+}
+
+function regimeCounts(rel, regime) {
+    if (!rel.regimes) rel.regimes = {};
+    return rel.regimes[regime] ||
+        (rel.regimes[regime] = { follows: 0, misses: 0, lagSum: 0, magnitudeSum: 0 });
+}
+
+function recordOutcome(rel, followed, time) {
+    const decay = decayFactor(rel.lastOutcomeTime, time, PAIR_STATS_CONFIG.followRateHalfLifeMs);
+    rel.decayedFollows = rel.decayedFollows * decay + (followed ? 1 : 0);
+    rel.decayedMisses = rel.decayedMisses * decay + (followed ? 0 : 1);
+    rel.recentFollowRate = rel.decayedFollows / (rel.decayedFollows + rel.decayedMisses);
+    rel.lastOutcomeTime = rel.lastOutcomeTime === null ? time : Math.max(rel.lastOutcomeTime, time);
+
+    rel.followRate = rel.successfulFollows / (rel.successfulFollows + rel.missedFollows);
+}
+
+function recordFollow(rel, lagTime, magnitudeRatio, time, regime) {
+    rel.successfulFollows++;
+    rel.sampleSize++;
+
+    updateEwStats(rel.lagStats, lagTime, time, PAIR_STATS_CONFIG.lagHalfLifeMs);
+    updateEwStats(rel.magnitudeStats, magnitudeRatio, time, PAIR_STATS_CONFIG.lagHalfLifeMs);
+    updateQuantile(rel.lagMedian, lagTime);
+    updateQuantile(rel.lagP90, lagTime);
+    updateReservoir(rel.lagReservoir, lagTime);
+    updateReservoir(rel.magnitudeReservoir, magnitudeRatio);
+
+    rel.avgLag = rel.lagStats.mean;
+    rel.avgMagnitude = rel.magnitudeStats.mean;
+    recordOutcome(rel, true, time);
+    addOutcome(rel.buckets, time, { followed: true, lagTime, magnitudeRatio });
+
+    if (regime) {
+        const counts = regimeCounts(rel, regime);
+        counts.follows++;
+        counts.lagSum += lagTime;
+        counts.magnitudeSum += magnitudeRatio;
+    }
+}
+
+function recordMiss(rel, time, regime) {
+    rel.missedFollows++;
+    recordOutcome(rel, false, time);
+    addOutcome(rel.buckets, time, { followed: false });
+
+    if (regime) regimeCounts(rel, regime).misses++;
+}
+
+// Same shape as time-buckets.js getWindowStats, for outcomes in one regime
+function getRegimeStats(rel, regime) {
+    const counts = rel.regimes && rel.regimes[regime];
+    return summarizeBuckets(counts ? [counts] : []);
+}
+
+// Read-only view for API responses
+function summarizePair(rel, { includeHistograms = false } = {}) {
+    const summary = {
+        followRate: rel.followRate,
+        recentFollowRate: rel.recentFollowRate,
+        avgLag: rel.avgLag,
+        lagStdDev: Math.sqrt(rel.lagStats.variance),
+        medianLag: getQuantile(rel.lagMedian),
+        p90Lag: getQuantile(rel.lagP90),
+        avgMagnitude: rel.avgMagnitude,
+        magnitudeStdDev: Math.sqrt(rel.magnitudeStats.variance),
+        sampleSize: rel.sampleSize,
+        successfulFollows: rel.successfulFollows,
+        missedFollows: rel.missedFollows
+    };
+    if (includeHistograms) {
+        summary.lagHistogram = reservoirHistogram(rel.lagReservoir);
+        summary.magnitudeHistogram = reservoirHistogram(rel.magnitudeReservoir);
+    }
+    return summary;
+}
+
+function isValidPairStats(saved) {
+    return saved !== null && typeof saved === 'object' &&
+        Number.isFinite(saved.successfulFollows) &&
+        Number.isFinite(saved.missedFollows) &&
+        Number.isFinite(saved.sampleSize) &&
+        saved.lagStats && Number.isFinite(saved.lagStats.mean) &&
+        saved.magnitudeStats && Number.isFinite(saved.magnitudeStats.mean) &&
+        saved.lagMedian && Array.isArray(saved.lagMedian.q) &&
+        saved.lagP90 && Array.isArray(saved.lagP90.q);
+}
+
+module.exports = {
+    PAIR_STATS_CONFIG,
+    createPairStats,
+    recordFollow,
+    recordMiss,
+    summarizePair,
+    getRegimeStats,
+    isValidPairStats
+};
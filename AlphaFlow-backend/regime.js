@@ -0,0 +1,123 @@
+// regime.js
+//
+// Classifies the whole market into one regime at a time from cross-sectional 1m bars:
+//
+//   trending_up / trending_down  the average coin's return over trendWindowMs is at least
+//                                trendZ standard deviations (of that horizon) from zero
+//   high_vol                     otherwise, when the median coin's realized volatility is
+//                                at least highVolRatio × its own long-run average
+//   low_vol                      everything else
+//
+// The regime is 'unknown' until enough coins have bars to measure.
+
+const { createEwStats, updateEwStats } = require('./online-stats');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const REGIMES = ['low_vol', 'high_vol', 'trending_up', 'trending_down'];
+
+const REGIME_CONFIG = {
+    volWindowMs: parseFloat(process.env.REGIME_VOL_WINDOW_MS) || 15 * MINUTE,
+    trendWindowMs: parseFloat(process.env.REGIME_TREND_WINDOW_MS) || HOUR,
+    trendZ: parseFloat(process.env.REGIME_TREND_Z) || 2,
+    highVolRatio: parseFloat(process.env.REGIME_HIGH_VOL_RATIO) || 1.25,
+    baselineHalfLifeMs: 24 * HOUR,
+    minCoins: 3,
+    minReturns: 5
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Per-minute log-return volatility, with gaps between bars normalized
+function realizedVolatility(bars) {
+    const returns = [];
+    for (let i = 1; i < bars.length; i++) {
+        const minutes = (bars[i].time - bars[i - 1].time) / MINUTE;
+        returns.push(Math.log(bars[i].close / bars[i - 1].close) / Math.sqrt(minutes));
+    }
+    if (returns.length < REGIME_CONFIG.minReturns) return null;
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (returns.length - 1);
+    return Math.sqrt(variance);
+}
+
+function createRegimeClassifier(config = REGIME_CONFIG) {
+    const baseline = createEwStats();
+    const status = {
+        regime: 'unknown',
+        since: null,
+        crossSectionalVol: null,
+        baselineVol: null,
+        trend: null,
+        trendZ: null,
+        coinsMeasured: 0,
+        lastUpdate: null
+    };
+
+    // barsByCoin: coin -> 1m bars ({ time, open, close }) in ascending order.
+    // Returns true when the regime changed.
+    function classify(barsByCoin, now) {
+        const vols = [];
+        const trends = [];
+        Object.values(barsByCoin).forEach(bars => {
+            const volatility = realizedVolatility(bars.filter(bar => bar.time >= now - config.volWindowMs));
+            if (volatility === null) return;
+            vols.push(volatility);
+
+            // Empty when the trend window is shorter than the vol window and the coin went quiet
+            const trendBars = bars.filter(bar => bar.time >= now - config.trendWindowMs);
+            if (trendBars.length > 0) {
+                trends.push(Math.log(trendBars[trendBars.length - 1].close / trendBars[0].open));
+            }
+        });
+
+        status.lastUpdate = now;
+        status.coinsMeasured = vols.length;
+        if (vols.length < config.minCoins) return false;
+
+        const crossSectionalVol = median(vols);
+        updateEwStats(baseline, crossSectionalVol, now, config.baselineHalfLifeMs);
+        const trend = trends.length > 0 ? trends.reduce((a, b) => a + b, 0) / trends.length : null;
+        const trendZ = trend !== null && crossSectionalVol > 0 ?
+            trend / (crossSectionalVol * Math.sqrt(config.trendWindowMs / MINUTE)) :
+            0;
+
+        let regime;
+        if (Math.abs(trendZ) >= config.trendZ) {
+            regime = trendZ > 0 ? 'trending_up' : 'trending_down';
+        } else if (baseline.mean > 0 && crossSectionalVol >= config.highVolRatio * baseline.mean) {
+            regime = 'high_vol';
+        } else {
+            regime = 'low_vol';
+        }
+
+        status.crossSectionalVol = crossSectionalVol;
+        status.baselineVol = baseline.mean;
+        status.trend = trend;
+        status.trendZ = trendZ;
+
+        const changed = regime !== status.regime;
+        if (changed) {
+            status.regime = regime;
+            status.since = now;
+        }
+        return changed;
+    }
+
+    return {
+        classify,
+        getRegime: () => status.regime,
+        getStatus: () => ({ ...status })
+    };
+}
+
+module.exports = {
+    REGIMES,
+    REGIME_CONFIG,
+    createRegimeClassifier
+};
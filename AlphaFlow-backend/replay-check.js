@@ -0,0 +1,159 @@
+// replay-check.js
+//
+// End-to-end check of the significance tests: `npm run check:replay`.
+//
+// Writes a synthetic tick file where BTC makes sudden jumps and ETH repeats each one a
+// second later, while SOL and DOGE are independent random walks. The file is replayed
+// through alphaflow-server.js with the shipped detection config, once on the raw track and
+// once with MARKET_FACTOR=pca. BTC→ETH has to come out significant, and no pair involving
+// a random-walk coin may (they follow or diverge at chance, so their follow rate has to
+// match their baseline). The raw track's calibration report is checked the same way:
+// predictions for random-walk pairs have to hit about half the time and be made at about
+// that confidence, and the issued signals have to hit at least minConfidence of the time.
+// Exits non-zero on failure.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const LEADER = 'BTC-USD';
+const FOLLOWER = 'ETH-USD';
+const INDEPENDENT = ['SOL-USD', 'DOGE-USD'];
+const START_PRICES = { 'BTC-USD': 60000, 'ETH-USD': 3000, 'SOL-USD': 150, 'DOGE-USD': 0.15 };
+
+const JUMPS = 200;
+const JUMP_SIZE = 0.008;        // 0.8%, above the 5s and 30s thresholds
+const FOLLOW_SIZE = 0.006;
+const FOLLOW_DELAY_S = 1;
+const TICK_VOLATILITY = 0.00002; // Per-second random walk step, 0.002%
+const SEED = 7;
+const CALIBRATION_TOLERANCE = 0.1; // About 3 standard errors of a hit rate over 190 predictions
+const MIN_SIGNAL_HIT_RATE = 0.6;   // SIGNAL_CONFIG.minConfidence
+
+// mulberry32, so every run replays the same ticks
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// One tick per coin per second, jumps every 4 to 6 minutes
+function writeTicks(filePath) {
+    const random = createRandom(SEED);
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    const prices = { ...START_PRICES };
+    const coins = Object.keys(prices);
+    const startTime = Date.UTC(2024, 0, 1);
+    const lines = [];
+
+    let jumps = 0;
+    let nextJump = 300;
+    let follow = null;
+    for (let second = 0; jumps < JUMPS || second < nextJump + 600; second++) {
+        coins.forEach(coin => { prices[coin] *= 1 + gaussian() * TICK_VOLATILITY; });
+        if (second === nextJump && jumps < JUMPS) {
+            const direction = random() < 0.5 ? 1 : -1;
+            prices[LEADER] *= 1 + direction * JUMP_SIZE;
+            follow = { at: second + FOLLOW_DELAY_S, direction };
+            jumps++;
+            nextJump = second + 240 + Math.floor(random() * 120);
+        }
+        if (follow && second === follow.at) prices[FOLLOWER] *= 1 + follow.direction * FOLLOW_SIZE;
+
+        coins.forEach((coin, i) => {
+            lines.push(JSON.stringify({ productId: coin, price: prices[coin], exchangeTime: startTime + second * 1000 + i * 10 }));
+        });
+    }
+
+    fs.writeFileSync(filePath, lines.join('\n') + '\n');
+    return lines.length;
+}
+
+function runReplay(tickFile, outFile, env) {
+    execFileSync(process.execPath, [path.join(__dirname, 'alphaflow-server.js'), '--replay', tickFile, '--out', outFile], {
+        env: { ...process.env, ...env },
+        stdio: 'ignore'
+    });
+    return JSON.parse(fs.readFileSync(outFile, 'utf8'));
+}
+
+// Returns a list of problems with one track's matrix
+function checkMatrix(name, matrix, { expectLead }) {
+    const problems = [];
+    const lead = matrix[LEADER] && matrix[LEADER][FOLLOWER];
+    if (expectLead && !(lead && lead.significant)) {
+        problems.push(`${name}: ${LEADER}→${FOLLOWER} should be significant` +
+            (lead ? ` (followRate ${lead.followRate.toFixed(3)}, q=${lead.qValue.toPrecision(2)})` : ' (no follows)'));
+    }
+
+    Object.keys(matrix).forEach(leader => {
+        Object.keys(matrix[leader]).forEach(follower => {
+            const cell = matrix[leader][follower];
+            if (!cell.significant || !(INDEPENDENT.includes(leader) || INDEPENDENT.includes(follower))) return;
+            problems.push(`${name}: ${leader}→${follower} is significant for an independent random walk ` +
+                `(followRate ${cell.followRate.toFixed(3)} vs baseline ${cell.baselineRate.toFixed(3)}, q=${cell.qValue.toPrecision(2)})`);
+        });
+    });
+    return problems;
+}
+
+// Returns a list of problems with the raw track's calibration report
+function checkCalibration(calibration) {
+    const problems = [];
+    calibration.pairs
+        .filter(pair => INDEPENDENT.includes(pair.leader) || INDEPENDENT.includes(pair.follower))
+        .forEach(pair => {
+            if (Math.abs(pair.hitRate - 0.5) > CALIBRATION_TOLERANCE ||
+                Math.abs(pair.meanConfidence - 0.5) > CALIBRATION_TOLERANCE) {
+                problems.push(`calibration: ${pair.leader}→${pair.follower} should hit at chance, at chance confidence ` +
+                    `(hitRate ${pair.hitRate.toFixed(3)}, meanConfidence ${pair.meanConfidence.toFixed(3)} over ${pair.predictions})`);
+            }
+        });
+
+    const signals = calibration.signals;
+    if (signals.predictions === 0 || signals.hitRate < MIN_SIGNAL_HIT_RATE) {
+        problems.push(`calibration: issued signals should hit at least ${MIN_SIGNAL_HIT_RATE} of the time` +
+            (signals.predictions > 0 ? ` (hitRate ${signals.hitRate.toFixed(3)} over ${signals.predictions})` : ' (none issued)'));
+    }
+    return problems;
+}
+
+function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alphaflow-replay-check-'));
+    try {
+        const coinFile = path.join(dir, 'coins.json');
+        fs.writeFileSync(coinFile, JSON.stringify({
+            products: Object.keys(START_PRICES).map(id => ({ id, assetClass: id === LEADER || id === FOLLOWER ? 'MAJOR' : 'MID_CAP' }))
+        }));
+        const tickFile = path.join(dir, 'ticks.ndjson');
+        console.log(`⏪ Replaying ${writeTicks(tickFile)} synthetic ticks (${JUMPS} ${LEADER} jumps)`);
+
+        const raw = runReplay(tickFile, path.join(dir, 'raw.json'), { COIN_CONFIG_FILE: coinFile, MARKET_FACTOR: 'off' });
+        const adjusted = runReplay(tickFile, path.join(dir, 'pca.json'), { COIN_CONFIG_FILE: coinFile, MARKET_FACTOR: 'pca' });
+        // Residuals of a coin that only follows the market have no lead to find
+        const problems = [
+            ...checkMatrix('raw', raw.matrix, { expectLead: true }),
+            ...checkMatrix('pca raw', adjusted.matrix, { expectLead: true }),
+            ...checkMatrix('pca adjusted', adjusted.adjustedMatrix, { expectLead: false }),
+            ...checkCalibration(raw.calibration)
+        ];
+
+        if (problems.length > 0) {
+            problems.forEach(problem => console.error(`❌ ${problem}`));
+            process.exitCode = 1;
+            return;
+        }
+        const lead = raw.matrix[LEADER][FOLLOWER];
+        console.log(`✅ ${LEADER}→${FOLLOWER} significant (followRate ${lead.followRate.toFixed(3)}), ` +
+            `no independent coin significant on the raw or adjusted track, ` +
+            `signals hit ${raw.calibration.signals.hitRate.toFixed(3)} at ${raw.calibration.signals.meanConfidence.toFixed(3)} confidence`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+main();
@@ -0,0 +1,166 @@
+// signals.js
+//
+// Turns leader events into forward-looking predictions. When a leader fires, each follower
+// with at least minSamples resolved outcomes gets a prediction:
+//
+//   { id, eventId, leader, follower, direction, expectedLag, expiresAt,
+//     expectedMagnitude, confidence, basis, issued, status, ... }
+//
+// Confidence is the Laplace-smoothed follow rate, taken from the pair's outcomes in the
+// event's market regime when that regime alone has minSamples, otherwise from all outcomes.
+// Predictions are issued as signals when the pair is significant after FDR correction and
+// both its confidence and the lower end of its follow rate's Wilson interval reach
+// minConfidence; the rest are only kept for calibration. The interval keeps a pair whose
+// rate has drifted just past the threshold on a small sample from being signalled: the
+// test is repeated at every event, so such pairs come and go by chance.
+//
+// Predictions start 'pending' and are settled by the follower's resolution of the event:
+// 'hit' on a follow, 'miss' on a miss or divergence, 'void' when it couldn't be resolved
+// (no price data, coin removed, shutdown). Void signals don't count towards accuracy.
+
+const SIGNAL_CONFIG = {
+    minSamples: parseInt(process.env.SIGNAL_MIN_SAMPLES) || 10,
+    minConfidence: parseFloat(process.env.SIGNAL_MIN_CONFIDENCE) || 0.6,
+    historySize: parseInt(process.env.SIGNAL_HISTORY_SIZE) || 500
+};
+
+const STATUSES = ['pending', 'hit', 'miss', 'void'];
+
+function getConfidence(follows, misses) {
+    return (follows + 1) / (follows + misses + 2);
+}
+
+// candidate: { follower, stats, regimeStats, test } where stats is the pair's all-time
+// summary, regimeStats its counts in the event's regime and test its significance result
+function buildPrediction(event, candidate, config) {
+    const { follower, stats, regimeStats, test } = candidate;
+    const trials = stats.successfulFollows + stats.missedFollows;
+    if (trials < config.minSamples) return null;
+
+    const regimeTrials = regimeStats ? regimeStats.successfulFollows + regimeStats.missedFollows : 0;
+    const basis = regimeTrials >= config.minSamples ? 'regime' : 'all';
+    const counts = basis === 'regime' ? regimeStats : stats;
+    const confidence = getConfidence(counts.successfulFollows, counts.missedFollows);
+
+    return {
+        id: `${event.id}>${follower}`,
+        eventId: event.id,
+        leader: event.leader,
+        follower: follower,
+        direction: event.direction, // The follower is expected to move the same way
+        leaderChangePercent: event.changePercent,
+        window: event.window,
+        regime: event.regime,
+        issuedAt: event.timestamp,
+        // Lags are ms after the leader event
+        expectedLag: { avg: stats.avgLag, median: stats.medianLag, p90: stats.p90Lag },
+        expiresAt: event.timestamp + event.lagWindowMs,
+        expectedMagnitude: stats.avgMagnitude, // Volatility-normalized follower/leader move ratio
+        confidence: confidence,
+        basis: basis,
+        sampleSize: basis === 'regime' ? regimeTrials : trials,
+        qValue: test ? test.qValue : null,
+        issued: Boolean(test && test.significant && test.ci.lower >= config.minConfidence) &&
+            confidence >= config.minConfidence,
+        status: 'pending',
+        resolvedAt: null,
+        outcome: null
+    };
+}
+
+function createSignalEngine(config = SIGNAL_CONFIG) {
+    const pending = new Map(); // prediction id -> prediction, issued or not
+    const resolved = [];       // Most recent settled signals, oldest first
+    const totals = { issued: 0, hits: 0, misses: 0, voided: 0 }; // Issued signals only
+
+    // Records the predictions for a new leader event and returns those issued as signals
+    function generate(event, candidates) {
+        const predictions = candidates
+            .map(candidate => buildPrediction(event, candidate, config))
+            .filter(Boolean);
+        predictions.forEach(prediction => pending.set(prediction.id, prediction));
+
+        const signals = predictions
+            .filter(prediction => prediction.issued)
+            .sort((a, b) => b.confidence - a.confidence);
+        totals.issued += signals.length;
+        return signals;
+    }
+
+    function settle(prediction, status, outcome, time) {
+        pending.delete(prediction.id);
+        prediction.status = status;
+        prediction.outcome = outcome;
+        prediction.resolvedAt = time;
+        if (!prediction.issued) return prediction;
+
+        if (status === 'hit') totals.hits++;
+        else if (status === 'miss') totals.misses++;
+        else totals.voided++;
+
+        resolved.push(prediction);
+        if (resolved.length > config.historySize) resolved.splice(0, resolved.length - config.historySize);
+        return prediction;
+    }
+
+    // Settles the prediction for (eventId, follower) from the event's resolution, or
+    // returns null when none was made for that pair
+    function resolve(eventId, follower, resolution, time) {
+        const prediction = pending.get(`${eventId}>${follower}`);
+        if (!prediction) return null;
+
+        const status = resolution.outcome === 'follow' ? 'hit' :
+            resolution.outcome === 'miss' || resolution.outcome === 'divergence' ? 'miss' :
+                'void';
+        const outcome = { outcome: resolution.outcome, reason: resolution.reason };
+        if (resolution.lagTime !== undefined) outcome.lagTime = resolution.lagTime;
+        return settle(prediction, status, outcome, time);
+    }
+
+    // Voids pending predictions that involve a coin that is no longer tracked and
+    // returns the signals among them
+    function removeCoin(coin, time) {
+        return [...pending.values()]
+            .filter(prediction => prediction.leader === coin || prediction.follower === coin)
+            .map(prediction => settle(prediction, 'void', { outcome: 'unresolved', reason: 'coin_removed' }, time))
+            .filter(prediction => prediction.issued);
+    }
+
+    // Issued signals, newest first. filters: { status, leader, follower, limit }
+    function getSignals({ status, leader, follower, limit = 100 } = {}) {
+        const open = [...pending.values()].filter(prediction => prediction.issued);
+        const all = [...resolved, ...open].sort((a, b) => b.issuedAt - a.issuedAt);
+        return all
+            .filter(signal => (!status || signal.status === status) &&
+                (!leader || signal.leader === leader) &&
+                (!follower || signal.follower === follower))
+            .slice(0, limit);
+    }
+
+    function getAccuracy() {
+        const scored = totals.hits + totals.misses;
+        return {
+            issued: totals.issued,
+            pending: totals.issued - totals.hits - totals.misses - totals.voided,
+            hits: totals.hits,
+            misses: totals.misses,
+            voided: totals.voided,
+            hitRate: scored > 0 ? totals.hits / scored : null
+        };
+    }
+
+    return {
+        generate,
+        resolve,
+        removeCoin,
+        getSignals,
+        getAccuracy
+    };
+}
+
+module.exports = {
+    SIGNAL_CONFIG,
+    STATUSES,
+    getConfidence,
+    createSignalEngine
+};
@@ -0,0 +1,80 @@
+// significance.js
+//
+// Tests each leader→follower pair against the follower's own behaviour. In a market
+// where most coins drift with BTC, a 65% follow rate means little if the follower moves
+// in that direction 62% of the time anyway.
+//
+// Null hypothesis: the follower's move direction is independent of the leader event.
+// Direction counts come from background windows of the same length as the follow window,
+// each resolved as up, down or flat by the follower's first qualifying move. Under the
+// null, a follower follows a pump with probability P(up) and a dump with P(down), so the
+// baseline follow rate is those probabilities weighted by how often the leader pumps vs
+// dumps. Each pair gets a one-sided exact binomial p-value, a Wilson 95% interval on its
+// follow rate, and a Benjamini–Hochberg q-value across every pair tested in the same
+// call.
+
+const { binomialUpperTail, wilsonInterval, benjaminiHochberg } = require('./stats');
+
+function emptyDirectionCounts() {
+    return { up: 0, down: 0, flat: 0, pumps: 0, dumps: 0 };
+}
+
+function getBaselineRate(directionCounts, leader, follower) {
+    const leaderCounts = directionCounts[leader] || emptyDirectionCounts();
+    const followerCounts = directionCounts[follower] || emptyDirectionCounts();
+
+    const windows = followerCounts.up + followerCounts.down + followerCounts.flat;
+    const events = leaderCounts.pumps + leaderCounts.dumps;
+    if (windows === 0) return 0.5;
+
+    // Add-one smoothing so a handful of windows can't pin the baseline at 0 or 1
+    const pUp = (followerCounts.up + 1) / (windows + 3);
+    const pDown = (followerCounts.down + 1) / (windows + 3);
+    if (events === 0) return Math.max(pUp, pDown);
+    return (leaderCounts.pumps * pUp + leaderCounts.dumps * pDown) / events;
+}
+
+// Returns { [leader]: { [follower]: { baselineRate, pValue, qValue, ci, significant } } }
+// for every pair with at least one trial.
+function computePairSignificance(causalityMatrix, directionCounts, alpha = 0.05) {
+    const tested = [];
+
+    Object.keys(causalityMatrix).forEach(leader => {
+        Object.keys(causalityMatrix[leader]).forEach(follower => {
+            const rel = causalityMatrix[leader][follower];
+            const trials = rel.successfulFollows + rel.missedFollows;
+            if (trials === 0) return;
+
+            const baselineRate = getBaselineRate(directionCounts, leader, follower);
+            tested.push({
+                leader,
+                follower,
+                baselineRate,
+                pValue: binomialUpperTail(rel.successfulFollows, trials, baselineRate),
+                ci: wilsonInterval(rel.successfulFollows, trials)
+            });
+        });
+    });
+
+    const qValues = benjaminiHochberg(tested.map(t => t.pValue));
+    const result = {};
+
+    tested.forEach((t, i) => {
+        if (!result[t.leader]) result[t.leader] = {};
+        result[t.leader][t.follower] = {
+            baselineRate: t.baselineRate,
+            pValue: t.pValue,
+            qValue: qValues[i],
+            ci: t.ci,
+            significant: qValues[i] < alpha
+        };
+    });
+
+    return result;
+}
+
+module.exports = {
+    emptyDirectionCounts,
+    getBaselineRate,
+    computePairSignificance
+};
@@ -0,0 +1,131 @@
+// stats.js
+//
+// Small statistical toolkit shared by the significance and estimator modules.
+// Special functions follow the standard Lanczos / continued-fraction formulations
+// (Numerical Recipes, ch. 6).
+
+const LANCZOS_COEFFICIENTS = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+    if (x < 0.5) {
+        // Reflection formula
+        return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    }
+    x -= 1;
+    let a = 0.99999999999980993;
+    const t = x + 7.5;
+    for (let i = 0; i < LANCZOS_COEFFICIENTS.length; i++) {
+        a += LANCZOS_COEFFICIENTS[i] / (x + i + 1);
+    }
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the incomplete beta function
+function betaContinuedFraction(a, b, x) {
+    const MAX_ITERATIONS = 10000;
+    const EPSILON = 3e-14;
+    const FLOOR = 1e-300;
+
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < FLOOR) d = FLOOR;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= MAX_ITERATIONS; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < FLOOR) d = FLOOR;
+        c = 1 + aa / c;
+        if (Math.abs(c) < FLOOR) c = FLOOR;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < FLOOR) d = FLOOR;
+        c = 1 + aa / c;
+        if (Math.abs(c) < FLOOR) c = FLOOR;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(
+        logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+    if (x < (a + 1) / (a + b + 2)) {
+        return front * betaContinuedFraction(a, b, x) / a;
+    }
+    return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// P(X >= k) for X ~ Binomial(n, p)
+function binomialUpperTail(k, n, p) {
+    if (k <= 0) return 1;
+    if (k > n) return 0;
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+    return incompleteBeta(p, k, n - k + 1);
+}
+
+// P(F > f) for F ~ F(d1, d2)
+function fDistributionUpperTail(f, d1, d2) {
+    if (!(f > 0)) return 1;
+    return incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+// Wilson score interval for a binomial proportion (z = 1.96 gives 95%)
+function wilsonInterval(successes, n, z = 1.96) {
+    if (n === 0) return { lower: 0, upper: 1 };
+    const phat = successes / n;
+    const z2 = z * z;
+    const denominator = 1 + z2 / n;
+    const center = (phat + z2 / (2 * n)) / denominator;
+    const margin = (z * Math.sqrt(phat * (1 - phat) / n + z2 / (4 * n * n))) / denominator;
+    return {
+        lower: Math.max(0, center - margin),
+        upper: Math.min(1, center + margin)
+    };
+}
+
+// Benjamini–Hochberg adjusted p-values (q-values), returned in input order
+function benjaminiHochberg(pValues) {
+    const m = pValues.length;
+    const order = pValues
+        .map((p, index) => ({ p, index }))
+        .sort((a, b) => a.p - b.p);
+    const adjusted = new Array(m);
+
+    let runningMin = 1;
+    for (let rank = m; rank >= 1; rank--) {
+        const { p, index } = order[rank - 1];
+        runningMin = Math.min(runningMin, (p * m) / rank);
+        adjusted[index] = runningMin;
+    }
+    return adjusted;
+}
+
+module.exports = {
+    logGamma,
+    incompleteBeta,
+    binomialUpperTail,
+    fDistributionUpperTail,
+    wilsonInterval,
+    benjaminiHochberg
+};
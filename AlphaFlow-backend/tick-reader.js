@@ -0,0 +1,120 @@
+// tick-reader.js
+//
+// Reads recorded ticks back as normalized ticks (see exchange-adapters.js) for replay.
+// Supported formats, detected from the file extension:
+//   .ndjson / .jsonl  one JSON object per line
+//   .csv              header row followed by comma-separated values
+// Any of these may be gzip-compressed with a trailing .gz (as written by tick-recorder.js).
+//
+// Rows need a product id, a price and an exchange timestamp. Either the raw Coinbase
+// field names (product_id, price, time) or the normalized names (productId, price,
+// exchangeTime) are accepted; timestamps may be ISO strings or epoch milliseconds.
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) return numeric;
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+function openInput(filePath, stats) {
+    const file = fs.createReadStream(filePath);
+    if (!/\.gz$/i.test(filePath)) return file;
+
+    // A file that is still being recorded ends mid-member; keep what decoded cleanly
+    const output = new PassThrough();
+    const gunzip = zlib.createGunzip();
+    gunzip.on('error', (error) => {
+        stats.truncated = true;
+        console.warn(`Tick file ${filePath} ended unexpectedly: ${error.message}`);
+        output.end();
+    });
+    file.pipe(gunzip).pipe(output);
+    return output;
+}
+
+function toTick(row) {
+    const productId = row.productId || row.product_id;
+    const price = parseNumber(row.price);
+    const exchangeTime = parseTime(row.exchangeTime !== undefined ? row.exchangeTime : (row.time !== undefined ? row.time : row.timestamp));
+    const receiveTime = parseTime(row.receiveTime);
+
+    if (!productId || price === null || (exchangeTime === null && receiveTime === null)) return null;
+
+    return {
+        exchange: row.exchange || 'replay',
+        productId,
+        price,
+        size: parseNumber(row.size !== undefined ? row.size : row.last_size),
+        bestBid: parseNumber(row.bestBid !== undefined ? row.bestBid : row.best_bid),
+        bestAsk: parseNumber(row.bestAsk !== undefined ? row.bestAsk : row.best_ask),
+        sequence: parseNumber(row.sequence),
+        exchangeTime,
+        receiveTime: receiveTime !== null ? receiveTime : exchangeTime
+    };
+}
+
+function detectFormat(filePath) {
+    const name = filePath.replace(/\.gz$/i, '');
+    if (/\.csv$/i.test(name)) return 'csv';
+    if (/\.(ndjson|jsonl)$/i.test(name)) return 'ndjson';
+    throw new Error(`Unsupported tick file format: ${filePath} (expected .ndjson, .jsonl or .csv)`);
+}
+
+// Async generator yielding normalized ticks in file order. Malformed lines are
+// skipped and counted in stats.skipped so callers can report them.
+async function* readTicks(filePath, stats = { read: 0, skipped: 0 }) {
+    const format = detectFormat(filePath);
+    const lines = readline.createInterface({
+        input: openInput(filePath, stats),
+        crlfDelay: Infinity
+    });
+
+    let header = null;
+
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        let row;
+        if (format === 'csv') {
+            const values = line.split(',').map(v => v.trim());
+            if (!header) {
+                header = values;
+                continue;
+            }
+            row = {};
+            header.forEach((key, i) => { row[key] = values[i]; });
+        } else {
+            try {
+                row = JSON.parse(line);
+            } catch (error) {
+                stats.skipped++;
+                continue;
+            }
+        }
+
+        const tick = toTick(row);
+        if (!tick) {
+            stats.skipped++;
+            continue;
+        }
+        stats.read++;
+        yield tick;
+    }
+}
+
+module.exports = {
+    readTicks
+};
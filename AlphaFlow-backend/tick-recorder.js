@@ -0,0 +1,119 @@
+// tick-recorder.js
+//
+// Appends every normalized tick (see exchange-adapters.js) to gzip-compressed NDJSON
+// files, one per UTC day: ticks_YYYY-MM-DD.ndjson.gz. Files are opened in append mode,
+// so a restart adds a new gzip member to the same day's file instead of overwriting it;
+// gunzip (and tick-reader.js) reads multi-member files transparently.
+//
+// Retention is independent of the 24-hour JSON snapshot cleanup in alphaflow-server.js.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const TICK_FILE_PATTERN = /^ticks_(\d{4}-\d{2}-\d{2})\.ndjson\.gz$/;
+const FLUSH_INTERVAL = 5000; // Sync-flush gzip so at most ~5s of ticks are lost on a crash
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function createTickRecorder({ dir, retentionDays = 7 }) {
+    let currentDay = null;
+    let gzip = null;
+    let flushTimer = null;
+    const status = {
+        dir,
+        retentionDays,
+        currentFile: null,
+        ticksRecorded: 0,
+        lastError: null
+    };
+
+    function closeStream(callback) {
+        clearInterval(flushTimer);
+        flushTimer = null;
+        if (!gzip) {
+            if (callback) callback();
+            return;
+        }
+        const stream = gzip;
+        gzip = null;
+        if (callback) stream.once('finish', callback);
+        stream.end();
+    }
+
+    function openStream(day) {
+        fs.mkdirSync(dir, { recursive: true });
+        const filename = `ticks_${day}.ndjson.gz`;
+        const output = fs.createWriteStream(path.join(dir, filename), { flags: 'a' });
+
+        gzip = zlib.createGzip();
+        gzip.pipe(output);
+        output.on('error', (error) => {
+            status.lastError = error.message;
+            console.error(`Tick recorder write error (${filename}):`, error);
+        });
+
+        currentDay = day;
+        status.currentFile = filename;
+        flushTimer = setInterval(() => {
+            if (gzip) gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+        }, FLUSH_INTERVAL);
+
+        console.log(`📼 Recording ticks to ${filename}`);
+    }
+
+    function cleanup(now = Date.now()) {
+        if (!fs.existsSync(dir)) return;
+        const cutoff = dayKey(now - retentionDays * DAY_MS);
+
+        fs.readdirSync(dir).forEach(file => {
+            const match = file.match(TICK_FILE_PATTERN);
+            // Day keys sort lexicographically, so a string compare is enough
+            if (match && match[1] < cutoff) {
+                fs.unlinkSync(path.join(dir, file));
+                console.log(`Deleted old tick file: ${file}`);
+            }
+        });
+    }
+
+    function record(tick) {
+        const day = dayKey(tick.receiveTime);
+
+        if (day !== currentDay) {
+            closeStream();
+            openStream(day);
+            try {
+                cleanup(tick.receiveTime);
+            } catch (error) {
+                console.error('Error cleaning up tick files:', error);
+            }
+        }
+
+        gzip.write(JSON.stringify({
+            exchange: tick.exchange,
+            productId: tick.productId,
+            price: tick.price,
+            size: tick.size,
+            bestBid: tick.bestBid,
+            bestAsk: tick.bestAsk,
+            sequence: tick.sequence,
+            exchangeTime: tick.exchangeTime,
+            receiveTime: tick.receiveTime
+        }) + '\n');
+        status.ticksRecorded++;
+    }
+
+    return {
+        record,
+        cleanup,
+        close: closeStream,
+        getStatus: () => ({ ...status })
+    };
+}
+
+module.exports = {
+    createTickRecorder
+};
@@ -0,0 +1,128 @@
+// time-buckets.js
+//
+// Time-bucketed follow/miss counts for one leader→follower pair, so stats can be
+// reported for a fixed window instead of all of history. Each outcome is added to
+// three tiers; each window is answered from the finest tier that covers it, which
+// makes window edges accurate to one bucket of that tier.
+//
+//   window  tier   bucket size  retention
+//   1h      1m     1 minute     1 hour
+//   24h     5m     5 minutes    24 hours
+//   7d      1h     1 hour       7 days
+//
+// Buckets are plain objects kept in ascending start order, so the series is stored in
+// snapshots as-is.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const TIERS = {
+    '1m': { bucketMs: MINUTE, retentionMs: HOUR },
+    '5m': { bucketMs: 5 * MINUTE, retentionMs: DAY },
+    '1h': { bucketMs: HOUR, retentionMs: 7 * DAY }
+};
+
+const WINDOWS = {
+    '1h': { windowMs: HOUR, tier: '1m' },
+    '24h': { windowMs: DAY, tier: '5m' },
+    '7d': { windowMs: 7 * DAY, tier: '1h' }
+};
+
+function createBucketSeries() {
+    const series = {};
+    Object.keys(TIERS).forEach(tier => { series[tier] = []; });
+    return series;
+}
+
+function findOrCreateBucket(buckets, start) {
+    // Outcomes almost always land in the newest bucket; walk back for late arrivals
+    let i = buckets.length - 1;
+    while (i >= 0 && buckets[i].start > start) i--;
+    if (i >= 0 && buckets[i].start === start) return buckets[i];
+
+    const bucket = { start, follows: 0, misses: 0, lagSum: 0, magnitudeSum: 0 };
+    buckets.splice(i + 1, 0, bucket);
+    return bucket;
+}
+
+// outcome: { followed, lagTime, magnitudeRatio } (lag/magnitude only for follows)
+function addOutcome(series, time, outcome) {
+    Object.keys(TIERS).forEach(tier => {
+        const { bucketMs, retentionMs } = TIERS[tier];
+        const buckets = series[tier] || (series[tier] = []);
+        const bucket = findOrCreateBucket(buckets, Math.floor(time / bucketMs) * bucketMs);
+
+        if (outcome.followed) {
+            bucket.follows++;
+            bucket.lagSum += outcome.lagTime;
+            bucket.magnitudeSum += outcome.magnitudeRatio;
+        } else {
+            bucket.misses++;
+        }
+
+        // Prune relative to the newest bucket (one extra bucket covers the partial edge)
+        const cutoff = buckets[buckets.length - 1].start - retentionMs;
+        while (buckets.length > 0 && buckets[0].start <= cutoff) buckets.shift();
+    });
+}
+
+function countBuckets(buckets) {
+    const follows = buckets.reduce((sum, b) => sum + b.follows, 0);
+    const misses = buckets.reduce((sum, b) => sum + b.misses, 0);
+    const lagSum = buckets.reduce((sum, b) => sum + b.lagSum, 0);
+    const magnitudeSum = buckets.reduce((sum, b) => sum + b.magnitudeSum, 0);
+    const total = follows + misses;
+
+    return {
+        successfulFollows: follows,
+        missedFollows: misses,
+        followRate: total > 0 ? follows / total : 0,
+        avgLag: follows > 0 ? lagSum / follows : 0,
+        avgMagnitude: follows > 0 ? magnitudeSum / follows : 0,
+        sampleSize: follows
+    };
+}
+
+// Same fields as pair-stats.js summarizePair. Buckets only keep sums, so the decayed
+// follow rate and the lag spread can't be computed from them and are null.
+function summarizeBuckets(buckets) {
+    return {
+        ...countBuckets(buckets),
+        recentFollowRate: null,
+        lagStdDev: null,
+        medianLag: null,
+        p90Lag: null,
+        magnitudeStdDev: null
+    };
+}
+
+function bucketsInWindow(series, windowKey, now) {
+    const { windowMs, tier } = WINDOWS[windowKey];
+    const windowStart = now - windowMs;
+    return (series[tier] || []).filter(b => b.start >= windowStart && b.start <= now);
+}
+
+function getWindowStats(series, windowKey, now) {
+    return summarizeBuckets(bucketsInWindow(series, windowKey, now));
+}
+
+// Per-bucket follow rate / lag for charting how a pair evolved
+function getTimeseries(series, windowKey, now) {
+    const { tier } = WINDOWS[windowKey];
+    return bucketsInWindow(series, windowKey, now).map(bucket => ({
+        start: bucket.start,
+        end: bucket.start + TIERS[tier].bucketMs,
+        ...countBuckets([bucket])
+    }));
+}
+
+module.exports = {
+    WINDOWS,
+    TIERS,
+    createBucketSeries,
+    addOutcome,
+    summarizeBuckets,
+    getWindowStats,
+    getTimeseries
+};
@@ -0,0 +1,117 @@
+// ws-subscriptions.js
+//
+// Channel subscriptions for frontend WebSocket clients. A channel key is a channel name,
+// optionally narrowed to one coin or to one leader>follower pair:
+//
+//   prices                    every coin's price updates
+//   prices:BTC-USD            one coin's price updates
+//   signals:BTC-USD>ETH-USD   signals for one pair
+//
+//   channel   message types                       a coin filter matches
+//   prices    batch_update, prices                the coin
+//   events    leader_event, leader_event_closed   the event's leader
+//   signals   signal, signal_result               the leader or the follower
+//   matrix    matrix_delta, matrix_snapshot       the leader or the follower
+//   health    health, regime                      (no filters)
+
+const CHANNELS = {
+    prices: { filters: ['coin'] },
+    events: { filters: ['coin'] },
+    signals: { filters: ['coin', 'pair'] },
+    matrix: { filters: ['coin', 'pair'] },
+    health: { filters: [] }
+};
+
+const MAX_SUBSCRIPTIONS = parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 100;
+
+// Returns { key, channel, coin?, leader?, follower? } or { error }
+function parseChannelKey(key, coins) {
+    if (typeof key !== 'string') return { error: 'Channel must be a string' };
+
+    const separator = key.indexOf(':');
+    const channel = separator === -1 ? key : key.slice(0, separator);
+    const filter = separator === -1 ? null : key.slice(separator + 1);
+    const spec = CHANNELS[channel];
+    if (!spec) {
+        return { error: `Unknown channel "${channel}". Available: ${Object.keys(CHANNELS).join(', ')}` };
+    }
+    if (filter === null) return { key, channel };
+
+    if (filter.includes('>')) {
+        const [leader, follower] = filter.split('>');
+        if (!spec.filters.includes('pair')) return { error: `Channel "${channel}" can't be filtered by pair` };
+        if (!coins.includes(leader) || !coins.includes(follower) || leader === follower) {
+            return { error: `Unknown pair "${filter}"` };
+        }
+        return { key, channel, leader, follower };
+    }
+
+    if (!spec.filters.includes('coin')) return { error: `Channel "${channel}" can't be filtered` };
+    if (!coins.includes(filter)) return { error: `Coin not found: ${filter}` };
+    return { key, channel, coin: filter };
+}
+
+// Parses every key, or returns the first error so a request is applied all or nothing
+function parseChannelKeys(keys, coins) {
+    if (!Array.isArray(keys) || keys.length === 0) return { error: 'channels must be a non-empty array' };
+    const parsed = [];
+    for (const key of keys) {
+        const result = parseChannelKey(key, coins);
+        if (result.error) return { error: result.error };
+        parsed.push(result);
+    }
+    return { parsed };
+}
+
+// subject: { coin } for prices and events, { leader, follower } for signals and matrix
+function matchesSubject(subscription, subject) {
+    if (subscription.coin) {
+        return subject.coin === subscription.coin ||
+            subject.leader === subscription.coin ||
+            subject.follower === subscription.coin;
+    }
+    if (subscription.leader) {
+        return subject.leader === subscription.leader && subject.follower === subscription.follower;
+    }
+    return true;
+}
+
+function createSubscriptions() {
+    const subscriptions = new Map(); // channel key -> parsed key
+
+    // Returns an error message when the client would exceed MAX_SUBSCRIPTIONS
+    function add(parsed) {
+        const added = parsed.filter(subscription => !subscriptions.has(subscription.key));
+        if (subscriptions.size + added.length > MAX_SUBSCRIPTIONS) {
+            return `At most ${MAX_SUBSCRIPTIONS} subscriptions per connection`;
+        }
+        added.forEach(subscription => subscriptions.set(subscription.key, subscription));
+        return null;
+    }
+
+    function remove(keys) {
+        keys.forEach(key => subscriptions.delete(key));
+    }
+
+    function wants(channel, subject = {}) {
+        for (const subscription of subscriptions.values()) {
+            if (subscription.channel === channel && matchesSubject(subscription, subject)) return true;
+        }
+        return false;
+    }
+
+    return {
+        add,
+        remove,
+        wants,
+        keys: () => [...subscriptions.keys()]
+    };
+}
+
+module.exports = {
+    CHANNELS,
+    MAX_SUBSCRIPTIONS,
+    parseChannelKeys,
+    matchesSubject,
+    createSubscriptions
+};
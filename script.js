@@ -2,6 +2,18 @@
 // Shared Utilities
 // =========================================
 
+// The API key the pages use: one passed as ?api_key= (remembered in localStorage), one
+// remembered earlier, or the one the server put in the alphaflow-api-key meta tag
+function getApiKey() {
+    const fromUrl = new URLSearchParams(window.location.search).get('api_key');
+    if (fromUrl) {
+        localStorage.setItem('alphaflow-api-key', fromUrl);
+        return fromUrl;
+    }
+    const meta = document.querySelector('meta[name="alphaflow-api-key"]');
+    return localStorage.getItem('alphaflow-api-key') || (meta && meta.content) || null;
+}
+
 function downloadFile(content, filename, type) {
     const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
@@ -54,12 +66,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Mobile Menu Toggle
     const mobileBtn = document.querySelector('.mobile-menu-btn');
-    const navLinks = document.querySelector('.nav-links');
+    const navMenu = document.querySelector('.nav-links');
     
-    if (mobileBtn && navLinks) {
+    if (mobileBtn && navMenu) {
         mobileBtn.addEventListener('click', () => {
-            navLinks.classList.toggle('active');
-            mobileBtn.textContent = navLinks.classList.contains('active') ? '✕' : '☰';
+            navMenu.classList.toggle('active');
+            mobileBtn.textContent = navMenu.classList.contains('active') ? '✕' : '☰';
         });
     }
 });
@@ -72,11 +84,12 @@ if (document.getElementById('soupCanvas')) {
     // Configuration
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const host = window.location.host;
-    const WS_URL = `${protocol}//${host}`;
+    const API_KEY = getApiKey();
+    const WS_URL = `${protocol}//${host}?api_key=${encodeURIComponent(API_KEY)}`;
     const API_URL = '/api';
 
-    // Professional configuration
-    const ASSET_CLASSES = {
+    // Professional configuration (replaced by the server's coin universe on connect)
+    let ASSET_CLASSES = {
         'MAJOR': ['BTC-USD', 'ETH-USD'],
         'MID_CAP': ['SOL-USD', 'AVAX-USD', 'MATIC-USD', 'LINK-USD', 'DOT-USD'],
         'DEFI': ['UNI-USD', 'AAVE-USD', 'CRV-USD', 'COMP-USD'],
@@ -85,9 +98,13 @@ if (document.getElementById('soupCanvas')) {
         'INFRA': ['GRT-USD', 'ALGO-USD', 'ATOM-USD', 'LTC-USD']
     };
 
+    // Signals for the same pair within this long of a notification are folded into one
+    const SIGNAL_NOTIFICATION_COOLDOWN = 60000;
+
     // Initialize data structures
     let causalityMatrix = {};
     let signalLog = [];
+    let signalNotifications = {}; // 'leader>follower' -> { pending, latest } while cooling down
     let ws = null;
     let showParticles = true;
     let networkParticles = [];
@@ -142,6 +159,24 @@ if (document.getElementById('soupCanvas')) {
 
     initCausalityMatrix();
 
+    // Sync the matrix with the server's coin universe, keeping cells for pairs that still exist
+    function applyCoinConfig(assetClasses) {
+        if (!assetClasses) return;
+        ASSET_CLASSES = assetClasses;
+        const allAssets = Object.values(ASSET_CLASSES).flat();
+        const previous = causalityMatrix;
+        causalityMatrix = {};
+        initCausalityMatrix();
+
+        allAssets.forEach(leader => {
+            allAssets.forEach(follower => {
+                if (leader !== follower && previous[leader] && previous[leader][follower]) {
+                    causalityMatrix[leader][follower] = previous[leader][follower];
+                }
+            });
+        });
+    }
+
     // Update UI elements
     function updateUI() {
         // Update leaderboard
@@ -185,7 +220,7 @@ if (document.getElementById('soupCanvas')) {
                 </td>
                 <td>
                     <span style="font-weight: 600;">${pair.signals24h}</span>
-                    <div style="font-size: 0.8rem; color: var(--text-tertiary);">last hour</div>
+                    <div style="font-size: 0.8rem; color: var(--text-tertiary);">last 24h</div>
                 </td>
                 <td>
                     <span class="status-badge ${pair.confidence > 0.8 ? 'active' : 'paused'}">
@@ -225,9 +260,13 @@ if (document.getElementById('soupCanvas')) {
         if (pairs.length > 0) {
             const avgLag = Math.round(pairs.reduce((sum, p) => sum + p.avgLag, 0) / pairs.length);
             const avgFollowRate = (pairs.reduce((sum, p) => sum + p.followRate, 0) / pairs.length * 100).toFixed(1);
+            // Prefer the live hit rate of settled signals once there is one
+            const accuracy = signalAccuracy && signalAccuracy.hitRate !== null ?
+                (signalAccuracy.hitRate * 100).toFixed(1) :
+                avgFollowRate;
             
             document.getElementById('avgLagTime').textContent = `${avgLag}ms`;
-            document.getElementById('signalAccuracy').textContent = `${avgFollowRate}%`;
+            document.getElementById('signalAccuracy').textContent = `${accuracy}%`;
             document.getElementById('activeCorrelations').textContent = pairs.filter(p => p.confidence > 0.8).length;
             document.getElementById('divergenceEvents').textContent = Math.floor(Math.random() * 50) + 100; // Simulated
         }
@@ -236,8 +275,13 @@ if (document.getElementById('soupCanvas')) {
     // Backend Connection & Data Handling
     let prices = {};
     let priceHistory = {};
+    let signalAccuracy = null; // Live hit rate of settled signals from the backend
 
     function connectToBackend() {
+        if (!API_KEY) {
+            showNotification('No API key: open the dashboard with ?api_key=<your key>', 'error');
+            return;
+        }
         // Connect to our backend WebSocket
         ws = new WebSocket(WS_URL);
         
@@ -254,10 +298,14 @@ if (document.getElementById('soupCanvas')) {
                 if (data.prices) {
                     prices = data.prices;
                 }
+                applyCoinConfig(data.assetClasses);
                 // Initial fetch of causality data
                 fetchCausalityData();
                 updateMetrics();
                 console.log('Received initial market state');
+            } else if (data.type === 'coin_config') {
+                applyCoinConfig(data.assetClasses);
+                updateUI();
             } else if (data.type === 'ticker_update') {
                 handleBackendUpdate(data);
             } else if (data.type === 'batch_update') {
@@ -267,6 +315,11 @@ if (document.getElementById('soupCanvas')) {
                         data: data.updates[coin]
                     });
                 });
+            } else if (data.type === 'signal') {
+                notifySignal(data.signal);
+            } else if (data.type === 'signal_result') {
+                signalAccuracy = data.accuracy;
+                updateMetrics();
             }
         };
         
@@ -298,10 +351,44 @@ if (document.getElementById('soupCanvas')) {
         // to avoid overwhelming the DOM with every tick
     }
 
+    function showSignalNotification(signal, coalesced) {
+        const lag = signal.expectedLag.median !== null ? signal.expectedLag.median : signal.expectedLag.avg;
+        const message = `${signal.leader} ${signal.direction}: expect ${signal.follower} within ~${Math.round(lag / 1000)}s ` +
+            `(${(signal.confidence * 100).toFixed(0)}% confidence)`;
+        showNotification(coalesced > 1 ? `${message}, ${coalesced} signals in the last minute` : message, 'success');
+    }
+
+    // Shows the first signal for a pair at once; later ones during the cooldown are shown
+    // as a single notification when it ends
+    function notifySignal(signal) {
+        const key = `${signal.leader}>${signal.follower}`;
+        const entry = signalNotifications[key];
+        if (entry) {
+            entry.pending++;
+            entry.latest = signal;
+            return;
+        }
+
+        showSignalNotification(signal, 1);
+        const cooldown = { pending: 0, latest: null };
+        const endCooldown = () => {
+            if (cooldown.pending === 0) {
+                delete signalNotifications[key];
+                return;
+            }
+            showSignalNotification(cooldown.latest, cooldown.pending);
+            cooldown.pending = 0;
+            setTimeout(endCooldown, SIGNAL_NOTIFICATION_COOLDOWN);
+        };
+        setTimeout(endCooldown, SIGNAL_NOTIFICATION_COOLDOWN);
+        signalNotifications[key] = cooldown;
+    }
+
     async function fetchCausalityData() {
+        if (!API_KEY) return;
         try {
-            const response = await fetch(`${API_URL}/causality/best-pairs`, {
-                headers: { 'x-api-key': 'alphaflow-demo-key-2024' }
+            const response = await fetch(`${API_URL}/causality/best-pairs?window=24h`, {
+                headers: { 'x-api-key': API_KEY }
             });
             const data = await response.json();
             
@@ -314,7 +401,7 @@ if (document.getElementById('soupCanvas')) {
                         cell.avgLag = Math.round(pair.avgLag);
                         cell.magnitudeRatio = pair.avgMagnitude;
                         cell.signals24h = pair.sampleSize;
-                        cell.confidence = pair.followRate; // Use follow rate as confidence proxy
+                        cell.confidence = pair.confidence;
                     }
                 });
                 